@@ -84,6 +84,7 @@ async function runExamples() {
     } catch (error) {
         console.error('❌ Example failed:', error.message);
         console.error(error.stack);
+        process.exitCode = 1;
     }
 }
 
@@ -4,9 +4,13 @@
  */
 import { detectAndConvert } from './adapters/input.js';
 import { toBase64, toFile, toMultipleFormats } from './adapters/output.js';
-import { extractAllTextContent, extractEmbeddedFont, extractFontFeatures, replaceTextElement, optimizeFilters } from './utils/svg-parser.js';
+import { extractAllTextContent, extractEmbeddedFonts, extractFontPaletteValues, extractFontFeatures, replaceTextElements, optimizeFilters, getPresentationAttributes } from './utils/svg-parser.js';
+import { resolveBoundingBoxPaints } from './utils/paint-server.js';
+import { parseXml, findElements } from './utils/xml-parser.js';
 import { FontLoader } from './renderers/font-loader.js';
-import { generateTextPaths } from './renderers/text-processor.js';
+import { generateTextPaths, segmentGraphemes, isEmoji } from './renderers/text-processor.js';
+import { createEmojiProvider, isTextPresentation } from './renderers/emoji-provider.js';
+import { createSymbolTable } from './renderers/symbol-table.js';
 import { SVGRenderer } from './renderers/svg-renderer.js';
 
 export class UniversalSVGRenderer {
@@ -14,61 +18,139 @@ export class UniversalSVGRenderer {
         this.options = {
             enableInternationalFonts: true,
             enableEmoji: true,
+            emojiProvider: null,
+            emojiStyle: 'color',
             fallbackFont: 'Noto+Sans',
+            fonts: [],
             ...options
         };
+        // Bundled or registered families used for generic font-family keywords
+        this.options.genericFamilies = { ...FontLoader.GENERIC_FAMILIES, ...options.genericFamilies };
+
+        // Custom fonts, for this renderer only: [{ family, source, weight, style, unicodeRange, scripts }].
+        // Each render gets a registry of them (see FontLoader.createRegistry); loader
+        // functions run once per renderer
+        this._fonts = this.options.fonts.map(font => {
+            if (typeof font.source !== 'function') return font;
+            let data = null;
+            return { ...font, source: () => (data ??= Promise.resolve().then(font.source)) };
+        });
+        FontLoader.createRegistry(this._fonts); // validates the fonts up front
     }
 
     /**
      * Main rendering method - supports multiple input/output formats
      */
     async render(input, outputOptions = {}) {
+        // Embedded and custom fonts come from a shared cache and are given back after rendering
+        let embeddedFonts = [];
+        const fontRegistry = FontLoader.createRegistry(this._fonts);
         try {
             // Step 1: Convert input to SVG string
             const svgString = detectAndConvert(input);
 
             // Step 2: Parse SVG and extract all text elements
-            const textEntries = extractAllTextContent(svgString);
+            const svgDocument = parseXml(svgString);
+            const textEntries = extractAllTextContent(svgDocument);
 
             let processedSvg = svgString;
 
             // Only process text if there are text elements
             if (textEntries.length > 0) {
                 // Step 3: Load fonts in parallel
-                const embeddedFontBuffer = extractEmbeddedFont(svgString);
+                const embeddedFaces = extractEmbeddedFonts(svgDocument);
                 const allText = textEntries.map(e => e.textContent).join('');
-                const dominantWeight = textEntries[0]?.attributes?.fontWeight || 700;
 
-                const [primaryFont, internationalFonts, fallbackFont] = await Promise.all([
-                    FontLoader.loadPrimaryFont(embeddedFontBuffer),
+                // Weight/style combinations in use, so bundled fonts load only the faces needed
+                const variants = [...new Map(textEntries.flatMap(e => e.spans).map(({ fontWeight, fontStyle }) =>
+                    [`${fontWeight}|${fontStyle}`, { weight: fontWeight, style: fontStyle }])).values()];
+
+                const { genericFamilies } = this.options;
+                const fontFamilies = new Set(textEntries.flatMap(e => e.spans.flatMap(span => FontLoader.parseFontFamilyList(span.fontFamily))));
+
+                let familyFonts, internationalFonts, fallbackChain;
+                [embeddedFonts, familyFonts, internationalFonts, fallbackChain] = await Promise.all([
+                    FontLoader.loadEmbeddedFonts(embeddedFaces),
+                    FontLoader.loadFontFamilies(fontFamilies, variants, genericFamilies, fontRegistry),
                     this.options.enableInternationalFonts
-                        ? FontLoader.loadInternationalFonts(allText)
+                        ? FontLoader.loadInternationalFonts(allText, variants, fontRegistry)
                         : Promise.resolve(new Map()),
-                    FontLoader.loadFallbackFont(this.options.fallbackFont)
+                    FontLoader.loadFallbackChain(this.options.fallbackFont, variants, genericFamilies, fontRegistry)
                 ]);
 
-                // Use fallback only when no primary font
-                const effectiveFallback = primaryFont ? null : fallbackFont;
+                // Characters no loaded font covers may still be in a bundled script font
+                if (this.options.enableInternationalFonts) {
+                    const loadedFonts = [embeddedFonts, ...familyFonts.values(), ...internationalFonts.values(), ...fallbackChain]
+                        .flat().map(face => face.font);
+                    const uncovered = [...new Set(segmentGraphemes(allText))].filter(g =>
+                        !/^[\s\p{Cc}]*$/u.test(g) && !(this.options.enableEmoji && isEmoji(g) && !isTextPresentation(g, this.options.emojiStyle)) &&
+                        !loadedFonts.some(font => FontLoader.covers(font, g)));
+                    if (uncovered.length) await FontLoader.loadCoveringFonts(uncovered, variants, internationalFonts);
+                }
+
+                // Each text element (and tspan) tries its font-family list in order, per grapheme
+                const resolvePrimaryFont = style => FontLoader.resolveFontStack(style, embeddedFonts, familyFonts);
 
                 // Extract font-feature-settings as a HarfBuzz feature string (e.g. "ss01,ss03")
                 const fontFeatures = extractFontFeatures(svgString);
                 const featureString = fontFeatures.join(',');
 
+                // @font-palette-values rules for font-palette
+                const fontPaletteValues = extractFontPaletteValues(svgDocument);
+
+                // Emoji artwork is resolved once per render, however often the text is laid out
+                const loadEmoji = createEmojiProvider(this.options.emojiProvider);
+                const emojiArtwork = new Map();
+                const emojiProvider = grapheme => {
+                    if (!emojiArtwork.has(grapheme)) emojiArtwork.set(grapheme, loadEmoji(grapheme));
+                    return emojiArtwork.get(grapheme);
+                };
+
+                // Glyphs and emoji repeated across the document are defined once and drawn with <use>,
+                // under ids the document does not use
+                const documentIds = findElements(svgDocument, el => el.attributes.id != null).map(el => el.attributes.id);
+                const symbols = createSymbolTable('glyph', documentIds);
+
                 // Step 4: Generate text paths for all elements in parallel
+                const missingGlyphs = new Set();
+                const onMissingGlyph = cluster => missingGlyphs.add(cluster);
                 const pathResults = await Promise.all(
-                    textEntries.map(({ textContent, attributes }) => {
-                        const { fontSize, fill, fontWeight, textAnchor, x, y } = attributes;
-                        return generateTextPaths(
-                            textContent, x, y, fontSize, fill, primaryFont, internationalFonts, effectiveFallback,
-                            { enableEmoji: this.options.enableEmoji, fontWeight, featureString, textAnchor }
+                    textEntries.map(async ({ textElement, textContent, spans, style, attributes }, index) => {
+                        const { fontSize, fill, fontWeight, textAnchor, direction, unicodeBidi, writingMode, textOrientation, dominantBaseline, transform, x, y, maxWidth, textAlign, lineHeight, textLength, lengthAdjust } = attributes;
+                        // Per-element fit options (by id) override the data-fit attributes
+                        const fitOption = this.options.textFit?.[textElement.attributes.id];
+                        const fit = attributes.fit || fitOption ? { ...attributes.fit, ...fitOption } : null;
+                        const primaryFont = resolvePrimaryFont(attributes);
+                        const paths = await generateTextPaths(
+                            textContent, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackChain,
+                            { enableEmoji: this.options.enableEmoji, emojiProvider, emojiStyle: this.options.emojiStyle, fontWeight, featureString, textAnchor, direction, unicodeBidi, writingMode, textOrientation, dominantBaseline, spans, resolvePrimaryFont, onMissingGlyph, fontPaletteValues, symbols, maxWidth, textAlign, lineHeight, textLength, lengthAdjust, fit }
                         );
+                        // objectBoundingBox gradients are mapped onto the bounds of the whole text
+                        const { content, defs } = resolveBoundingBoxPaints(paths, svgDocument, { stroke: style.stroke, idPrefix: `text${index}`, symbols, reservedIds: documentIds });
+                        // Keep the element's full transform chain and its presentation attributes around the generated paths
+                        const groupAttributes = (transform ? ` transform="${transform.replace(/"/g, '&quot;')}"` : '') + getPresentationAttributes(style);
+                        return groupAttributes ? `<g${groupAttributes}>${defs}${content}</g>` : defs + content;
                     })
                 );
 
-                // Step 5: Apply all replacements
-                for (let i = 0; i < textEntries.length; i++) {
-                    processedSvg = replaceTextElement(processedSvg, textEntries[i].textElement, pathResults[i]);
+                // Clusters that no font covers are rendered as .notdef and reported
+                if (missingGlyphs.size > 0) {
+                    const clusters = [...missingGlyphs];
+                    if (this.options.onMissingGlyphs) {
+                        this.options.onMissingGlyphs(clusters);
+                    } else {
+                        console.warn('No font covers:', clusters.map(c => `"${c}" (${[...c].map(ch => 'U+' + ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')).join(' ')})`).join(', '));
+                    }
                 }
+
+                // Step 5: Apply all replacements by node offset in a single pass,
+                // with the symbol definitions at the start of the root <svg>
+                const root = svgDocument.children.find(node => node.type === 'element');
+                const defsAt = { start: root.contentStart, end: root.contentStart };
+                processedSvg = replaceTextElements(
+                    svgString,
+                    [[defsAt, symbols.toDefs()], ...textEntries.map((entry, i) => [entry.textElement, pathResults[i]])]
+                );
             }
 
             // Step 6: Optimize filters for faster rendering
@@ -84,6 +166,9 @@ export class UniversalSVGRenderer {
 
         } catch (error) {
             throw new Error(`Rendering failed: ${error.message}`);
+        } finally {
+            for (const { font } of embeddedFonts) FontLoader.releaseFont(font);
+            FontLoader.releaseRegistry(fontRegistry);
         }
     }
 
@@ -118,9 +203,20 @@ export class UniversalSVGRenderer {
 // Export individual components for advanced usage
 export { detectAndConvert, fromRawSVG, fromBase64, fromBuffer } from './adapters/input.js';
 export { toBase64, toFile, toMultipleFormats } from './adapters/output.js';
-export { extractAllTextContent, extractEmbeddedFont, extractFontFeatures, replaceTextElement, optimizeFilters } from './utils/svg-parser.js';
+export { extractAllTextContent, extractEmbeddedFont, extractEmbeddedFonts, extractFontPaletteValues, extractFontFeatures, replaceTextElement, replaceTextElements, optimizeFilters, getPresentationAttributes } from './utils/svg-parser.js';
+export { resolveBoundingBoxPaints, getMarkupBounds } from './utils/paint-server.js';
+export { parseXml, tokenize, decodeEntities, findElements, getElementById, getTextContent } from './utils/xml-parser.js';
+export { createStyleResolver, parseStylesheet, parseDeclarations } from './utils/css-resolver.js';
+export { parseTransform, multiply, invert, applyToPoint, toMatrixString } from './utils/transform.js';
+export { unwrapFont, detectFontFormat } from './utils/woff.js';
+export { parseCOLR, parseCPAL, parseSbix, parseCBDT } from './utils/color-font.js';
+export { getLineBreaks } from './utils/line-break.js';
+export { parsePathData, flattenPath, createPathSampler, transformPathData } from './utils/path-geometry.js';
+export { createLRUCache } from './utils/lru-cache.js';
 export { FontLoader } from './renderers/font-loader.js';
-export { generateTextPaths, segmentGraphemes, isEmoji, loadEmojiSvg, applyRTLProcessing } from './renderers/text-processor.js';
+export { generateTextPaths, segmentGraphemes, isEmoji, hasEmojiPresentation, loadEmojiSvg, applyRTLProcessing } from './renderers/text-processor.js';
+export { createEmojiProvider, emojiKeys, emojiFallbacks, parseEmojiSvg } from './renderers/emoji-provider.js';
+export { createSymbolTable, fontKey } from './renderers/symbol-table.js';
 export { SVGRenderer } from './renderers/svg-renderer.js';
 
 // Export default instance
@@ -0,0 +1,377 @@
+/**
+ * Color glyphs: COLR paint graphs drawn as layered SVG (CPAL colors,
+ * gradients, clips and compositing) and sbix / CBDT bitmaps as <image>.
+ */
+import { FontLoader } from './font-loader.js';
+import { createSymbolTable, fontKey } from './symbol-table.js';
+import { FOREGROUND_INDEX, imageSize } from '../utils/color-font.js';
+import { IDENTITY, multiply, toMatrixString } from '../utils/transform.js';
+
+// Extent of unbounded fills (gradients under a clip) and masks, in font units
+const UNBOUNDED = 32768;
+
+// Angular step of the wedges approximating sweep gradients, in degrees
+const SWEEP_STEP = 4;
+
+// Composite modes resvg supports as mix-blend-mode
+const BLEND_MODES = new Set([
+    'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn', 'hard-light', 'soft-light',
+    'difference', 'exclusion', 'multiply', 'hue', 'saturation', 'color', 'luminosity'
+]);
+
+const num = value => +value.toFixed(4);
+
+/**
+ * Parse a hex or rgb()/rgba() color into [r, g, b, a] (0-255, alpha 0-1).
+ * Returns null for other colors (named colors are drawn but not interpolated).
+ */
+function parseColor(value) {
+    const v = value.trim().toLowerCase();
+    if (v === 'transparent') return [0, 0, 0, 0];
+    const hex = v.match(/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/)?.[1];
+    if (hex) {
+        const digits = hex.length <= 4 ? [...hex].map(d => d + d) : hex.match(/../g);
+        const [r, g, b, a = 255] = digits.map(d => parseInt(d, 16));
+        return [r, g, b, a / 255];
+    }
+    const fn = v.match(/^rgba?\(([^)]*)\)$/)?.[1];
+    if (fn) {
+        const parts = fn.split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+        const channel = part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part));
+        const alpha = parts[3] == null ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+        const color = [...parts.slice(0, 3).map(channel), alpha];
+        return color.some(Number.isNaN) ? null : color;
+    }
+    return null;
+}
+
+function paletteEntry([r, g, b, a]) {
+    return { color: `rgb(${r},${g},${b})`, opacity: a / 255, rgb: [r, g, b] };
+}
+
+function overrideEntry(value) {
+    const parsed = parseColor(value);
+    return parsed
+        ? { color: `rgb(${parsed.slice(0, 3).map(Math.round).join(',')})`, opacity: parsed[3], rgb: parsed.slice(0, 3) }
+        : { color: value, opacity: 1, rgb: null };
+}
+
+function findPalette(colorFont, selector) {
+    if (selector === 'light' || selector === 'dark') {
+        const flag = selector === 'light' ? 1 : 2;
+        const index = colorFont.paletteTypes.findIndex(type => type & flag);
+        return index === -1 ? 0 : index;
+    }
+    const index = parseInt(selector, 10);
+    return index >= 0 && index < colorFont.palettes.length ? index : 0;
+}
+
+/**
+ * Colors ({ color, opacity, rgb }) of the CPAL palette selected by a
+ * font-palette value: normal, light, dark, or the name of an
+ * @font-palette-values rule (see extractFontPaletteValues) whose font-family
+ * is in `fontFamily`, applying its base-palette and override-colors.
+ */
+export function resolvePalette(colorFont, { fontPalette = 'normal', paletteValues = null, fontFamily = null } = {}) {
+    const name = fontPalette?.trim() ?? 'normal';
+    const families = FontLoader.parseFontFamilyList(fontFamily ?? '').map(family => family.toLowerCase());
+    const rule = name.startsWith('--')
+        ? paletteValues?.get(name)?.findLast(values => !values.family || families.includes(values.family.toLowerCase()))
+        : null;
+    const base = findPalette(colorFont, rule ? rule.basePalette ?? 'normal' : name);
+    const colors = (colorFont.palettes[base] ?? []).map(paletteEntry);
+    for (const [index, value] of rule?.overrideColors ?? []) {
+        if (index >= 0 && index < colors.length) colors[index] = overrideEntry(value);
+    }
+    return colors;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Draws the COLR paint graph of one glyph into SVG markup in font units
+ * (Y-up), collecting gradients, clip paths and masks into `defs` under ids
+ * from `ids` (see createSymbolTable).
+ */
+function createPainter(fontObj, colorFont, palette, foreground, ids) {
+    const defs = [];
+    const newId = () => ids.newId('colr');
+    const drawing = new Set();
+
+    const colorOf = (paletteIndex, alpha) => {
+        const entry = paletteIndex === FOREGROUND_INDEX
+            ? { color: foreground ?? 'black', opacity: 1, rgb: parseColor(foreground ?? '')?.slice(0, 3) ?? null }
+            : palette[paletteIndex] ?? { color: 'black', opacity: 1, rgb: [0, 0, 0] };
+        return { ...entry, opacity: entry.opacity * Math.max(0, Math.min(1, alpha)) };
+    };
+
+    const fillAttributes = ({ color, opacity }) => ` fill="${color}"${opacity < 1 ? ` fill-opacity="${num(opacity)}"` : ''}`;
+
+    function stopsMarkup(stops) {
+        return stops.map(({ offset, color }) => {
+            const { color: stopColor, opacity } = color;
+            return `<stop offset="${num(offset)}" stop-color="${stopColor}"${opacity < 1 ? ` stop-opacity="${num(opacity)}"` : ''}/>`;
+        }).join('');
+    }
+
+    // Color line stops, sorted, with their colors resolved
+    const resolveStops = colorLine => colorLine.stops
+        .map(stop => ({ offset: stop.offset, color: colorOf(stop.paletteIndex, stop.alpha) }))
+        .sort((a, b) => a.offset - b.offset);
+
+    /**
+     * Fill attributes for a solid or gradient paint, with gradients mapped by
+     * `matrix` (transforms folded out of the paint graph).
+     */
+    function paintFill(paint, matrix) {
+        if (paint.type === 'solid') return fillAttributes(colorOf(paint.paletteIndex, paint.alpha));
+        const stops = resolveStops(paint.colorLine);
+        if (!stops.length) return ' fill="none"';
+        const first = stops[0].offset;
+        const last = stops[stops.length - 1].offset;
+        if (last - first < 1e-6) return fillAttributes(stops[stops.length - 1].color);
+        // SVG offsets are within [0, 1]: the geometry is moved to the first and last stops instead
+        let normalized = stops.map(stop => ({ ...stop, offset: (stop.offset - first) / (last - first) }));
+        const id = newId();
+        const transform = matrix === IDENTITY ? '' : ` gradientTransform="${toMatrixString(matrix)}"`;
+        const common = `id="${id}" gradientUnits="userSpaceOnUse" spreadMethod="${paint.colorLine.extend}"${transform}`;
+
+        if (paint.type === 'linear') {
+            // The gradient runs from p0 along the normal of p0-p2, up to p1's projection on it
+            const [[x0, y0], [x1, y1], [x2, y2]] = [paint.p0, paint.p1, paint.p2];
+            const [nx, ny] = [y2 - y0, x0 - x2];
+            const lengthSquared = nx * nx + ny * ny;
+            const k = lengthSquared ? ((x1 - x0) * nx + (y1 - y0) * ny) / lengthSquared : 0;
+            const [x3, y3] = lengthSquared ? [x0 + k * nx, y0 + k * ny] : [x1, y1];
+            const at = t => [lerp(x0, x3, t), lerp(y0, y3, t)];
+            const [[sx, sy], [ex, ey]] = [at(first), at(last)];
+            defs.push(`<linearGradient ${common} x1="${num(sx)}" y1="${num(sy)}" x2="${num(ex)}" y2="${num(ey)}">${stopsMarkup(normalized)}</linearGradient>`);
+        } else {
+            const circle = t => ({
+                x: lerp(paint.c0[0], paint.c1[0], t),
+                y: lerp(paint.c0[1], paint.c1[1], t),
+                r: Math.max(0, lerp(paint.r0, paint.r1, t))
+            });
+            let [start, end] = [circle(first), circle(last)];
+            if (end.r < start.r) {
+                // SVG gradients grow outwards: reverse the color line
+                [start, end] = [end, start];
+                normalized = normalized.map(stop => ({ ...stop, offset: 1 - stop.offset })).reverse();
+            }
+            // resvg has no fr: stops are remapped from the start circle onto the end circle
+            if (start.r > 0 && end.r > 0) {
+                normalized = normalized.map(stop => ({ ...stop, offset: lerp(start.r, end.r, stop.offset) / end.r }));
+            }
+            defs.push(`<radialGradient ${common} cx="${num(end.x)}" cy="${num(end.y)}" r="${num(end.r)}" fx="${num(start.x)}" fy="${num(start.y)}">${stopsMarkup(normalized)}</radialGradient>`);
+        }
+        return ` fill="url(#${id})"`;
+    }
+
+    // Color of a sweep gradient at an angle (degrees), following its extend mode
+    function sweepColor(paint, stops, angle) {
+        const { startAngle, endAngle } = paint;
+        let t = (angle - startAngle) / (endAngle - startAngle || 1e-6);
+        const first = stops[0].offset;
+        const last = stops[stops.length - 1].offset;
+        const span = last - first;
+        if (paint.colorLine.extend !== 'pad' && span > 1e-6) {
+            const cycle = (t - first) / span;
+            const phase = cycle - Math.floor(cycle);
+            const reflected = paint.colorLine.extend === 'reflect' && Math.floor(cycle) % 2 !== 0;
+            t = first + (reflected ? 1 - phase : phase) * span;
+        }
+        if (t <= first) return stops[0].color;
+        if (t >= last) return stops[stops.length - 1].color;
+        const i = stops.findIndex(stop => stop.offset >= t);
+        const [a, b] = [stops[i - 1], stops[i]];
+        const local = (t - a.offset) / (b.offset - a.offset || 1e-6);
+        if (!a.color.rgb || !b.color.rgb) return local < 0.5 ? a.color : b.color;
+        const rgb = a.color.rgb.map((channel, c) => Math.round(lerp(channel, b.color.rgb[c], local)));
+        return { color: `rgb(${rgb.join(',')})`, opacity: lerp(a.color.opacity, b.color.opacity, local), rgb };
+    }
+
+    // Sweep gradients become thin wedges around the center
+    function drawSweep(paint) {
+        const stops = resolveStops(paint.colorLine);
+        if (!stops.length) return '';
+        const [cx, cy] = paint.center;
+        const wedges = [];
+        for (let angle = 0; angle < 360; angle += SWEEP_STEP) {
+            // Overlap neighbors slightly so no seams show
+            const a0 = (angle - 0.1) * Math.PI / 180;
+            const a1 = (angle + SWEEP_STEP + 0.1) * Math.PI / 180;
+            const point = a => `${num(cx + UNBOUNDED * Math.cos(a))} ${num(cy + UNBOUNDED * Math.sin(a))}`;
+            wedges.push(`<path d="M${num(cx)} ${num(cy)}L${point(a0)}L${point(a1)}Z"${fillAttributes(sweepColor(paint, stops, angle + SWEEP_STEP / 2))}/>`);
+        }
+        return wedges.join('');
+    }
+
+    function mask(content) {
+        const id = newId();
+        defs.push(`<mask id="${id}" mask-type="alpha" maskUnits="userSpaceOnUse" x="${-UNBOUNDED}" y="${-UNBOUNDED}" width="${UNBOUNDED * 2}" height="${UNBOUNDED * 2}">${content}</mask>`);
+        return id;
+    }
+
+    // Composite `source` onto `backdrop` (Porter-Duff and blend modes)
+    function drawComposite(paint, clipped) {
+        const source = () => draw(paint.source, clipped);
+        const backdrop = () => draw(paint.backdrop, clipped);
+        const masked = (content, by) => (content && by ? `<g mask="url(#${mask(by)})">${content}</g>` : '');
+        switch (paint.mode) {
+            case 'clear':
+                return '';
+            case 'src':
+            case 'src-out':
+                return source();
+            case 'dest':
+            case 'dest-out':
+                return backdrop();
+            case 'dest-over':
+                return backdrop() + source();
+            case 'src-in':
+                return masked(source(), backdrop());
+            case 'dest-in':
+                return masked(backdrop(), source());
+            case 'src-atop': {
+                const below = backdrop();
+                return below + masked(source(), below);
+            }
+            case 'dest-atop': {
+                const below = source();
+                return below + masked(backdrop(), below);
+            }
+            default:
+                if (BLEND_MODES.has(paint.mode)) {
+                    return `<g style="isolation:isolate">${backdrop()}<g style="mix-blend-mode:${paint.mode}">${source()}</g></g>`;
+                }
+                // src-over, and modes without an SVG equivalent (xor, plus)
+                return backdrop() + source();
+        }
+    }
+
+    // A glyph outline filled with a paint: directly for solid colors and
+    // gradients (with any transforms on the gradient), else through a clip path
+    function drawGlyph(paint) {
+        const d = FontLoader.getGlyphOutline(fontObj, paint.glyphId);
+        if (!d) return '';
+        let fill = paint.paint;
+        let matrix = IDENTITY;
+        while (fill.type === 'transform') {
+            matrix = multiply(matrix, fill.matrix);
+            fill = fill.paint;
+        }
+        if (fill.type === 'solid' || fill.type === 'linear' || fill.type === 'radial') {
+            return `<path d="${d}"${paintFill(fill, matrix)}/>`;
+        }
+        const content = draw(paint.paint, true);
+        if (!content) return '';
+        const id = newId();
+        defs.push(`<clipPath id="${id}"><path d="${d}"/></clipPath>`);
+        return `<g clip-path="url(#${id})">${content}</g>`;
+    }
+
+    /**
+     * Markup of a paint. Fills outside any glyph clip are unbounded and skipped.
+     */
+    function draw(paint, clipped = false) {
+        switch (paint.type) {
+            case 'layers':
+                return paint.layers.map(layer => draw(layer, clipped)).join('');
+            case 'glyph':
+                return drawGlyph(paint);
+            case 'colrGlyph': {
+                const root = colorFont.colr.getPaint(paint.glyphId);
+                if (!root || drawing.has(paint.glyphId)) return '';
+                drawing.add(paint.glyphId);
+                const content = draw(root, clipped);
+                drawing.delete(paint.glyphId);
+                return content;
+            }
+            case 'transform': {
+                const content = draw(paint.paint, clipped);
+                return content ? `<g transform="${toMatrixString(paint.matrix)}">${content}</g>` : '';
+            }
+            case 'composite':
+                return drawComposite(paint, clipped);
+            case 'sweep':
+                return clipped ? drawSweep(paint) : '';
+            default:
+                // Solid colors and gradients fill the whole clip
+                return clipped
+                    ? `<rect x="${-UNBOUNDED}" y="${-UNBOUNDED}" width="${UNBOUNDED * 2}" height="${UNBOUNDED * 2}"${paintFill(paint, IDENTITY)}/>`
+                    : '';
+        }
+    }
+
+    return { draw, defs };
+}
+
+function bitmapImage({ data, mimeType }, x, y, width, height) {
+    const href = `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+    return `<image x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" preserveAspectRatio="none" href="${href}"/>`;
+}
+
+/**
+ * Markup of the color glyph of `glyphId` as { content(ids), transform }:
+ * content in its own coordinates, its paint servers named from `ids`, and
+ * the transform placing it at (x, y). Returns null when the font has no
+ * color data for the glyph.
+ */
+function colorGlyphMarkup(fontObj, colorFont, glyphId, x, y, fontSize, fill, palette) {
+    const scale = fontSize / fontObj.upem;
+    const paint = colorFont.colr?.getPaint(glyphId);
+    if (paint) {
+        return {
+            transform: `translate(${num(x)}, ${num(y)}) scale(${num(scale)}, ${num(-scale)})`,
+            // Drawn in font units, Y-up
+            content: ids => {
+                const painter = createPainter(fontObj, colorFont, palette ?? resolvePalette(colorFont), fill, ids);
+                const content = painter.draw(paint);
+                return (painter.defs.length ? `<defs>${painter.defs.join('')}</defs>` : '') + content;
+            }
+        };
+    }
+
+    const transform = `translate(${num(x)}, ${num(y)})`;
+    const sbix = colorFont.sbix?.getGlyph(glyphId, fontSize);
+    const sbixSize = sbix && imageSize(sbix.data);
+    if (sbixSize) {
+        // Origins and sizes are in pixels of the strike, Y-up from the glyph origin
+        const k = fontSize / sbix.ppem;
+        const [width, height] = sbixSize;
+        return { transform, content: () => bitmapImage(sbix, sbix.originX * k, -(sbix.originY + height) * k, width * k, height * k) };
+    }
+
+    const cbdt = colorFont.cbdt?.getGlyph(glyphId, fontSize);
+    if (cbdt) {
+        const k = fontSize / cbdt.ppem;
+        return { transform, content: () => bitmapImage(cbdt, cbdt.bearingX * k, -cbdt.bearingY * k, cbdt.width * k, cbdt.height * k) };
+    }
+    return null;
+}
+
+/**
+ * Markup of a color glyph with its origin at (x, y), or null when the font
+ * has no color data for it. COLR glyphs use `palette` (see resolvePalette)
+ * with `fill` as the foreground color; sbix and CBDT bitmaps come from the
+ * strike closest to fontSize. Color glyphs are not stroked with the text.
+ * With a symbol table (see createSymbolTable) each glyph is defined once and
+ * drawn with <use>. Gradient, clip and mask ids come from `ids` (a symbol
+ * table, by default `symbols` or one for this glyph alone).
+ */
+export function renderColorGlyph(fontObj, glyphId, x, y, fontSize, fill, palette, symbols = null, ids = symbols) {
+    const colorFont = FontLoader.getColorFont(fontObj);
+    const glyph = colorFont && colorGlyphMarkup(fontObj, colorFont, glyphId, x, y, fontSize, fill, palette);
+    if (!glyph) return null;
+    if (!symbols) return `<g transform="${glyph.transform}" stroke="none">${glyph.content(ids ?? createSymbolTable())}</g>`;
+
+    // Layers depend on the palette and foreground color, bitmaps on the size
+    const variant = colorFont.colr?.getPaint(glyphId)
+        ? `${fill}:${(palette ?? []).map(({ color, opacity }) => `${color}/${opacity}`).join(',')}`
+        : fontSize;
+    const id = symbols.define(`color:${fontKey(fontObj)}:${glyphId}:${variant}`, id => `<g id="${id}">${glyph.content(ids ?? symbols)}</g>`);
+    return `<use href="#${id}" transform="${glyph.transform}" stroke="none"/>`;
+}
@@ -0,0 +1,127 @@
+/**
+ * Emoji artwork providers: the bundled Twemoji set, or a custom set given as
+ * a map of codepoint sequences to SVG markup or as an async resolver.
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { decompress } from '../utils/decompress.js';
+
+const __dirname = join(fileURLToPath(import.meta.url), '..');
+const FONTS_DIR = join(__dirname, '../../fonts');
+
+let _emojiMap;
+let _emojiMapPromise;
+async function _getEmojiMap() {
+    if (_emojiMap) return _emojiMap;
+    if (_emojiMapPromise) return _emojiMapPromise;
+    _emojiMapPromise = (async () => {
+        const br = readFileSync(join(FONTS_DIR, 'twemoji.json.br'));
+        const raw = await decompress(br);
+        _emojiMap = JSON.parse(Buffer.from(raw).toString());
+        return _emojiMap;
+    })();
+    return _emojiMapPromise;
+}
+
+/**
+ * Lookup keys of an emoji: its lowercase hex codepoints joined by '-' with
+ * FE0F kept (jdecked/twemoji keeps it for ZWJ sequences), then without FE0F.
+ */
+export function emojiKeys(grapheme) {
+    const codepoints = [...grapheme].map(c => c.codePointAt(0));
+    const withFE0F = codepoints.map(cp => cp.toString(16)).join('-');
+    const withoutFE0F = codepoints.filter(cp => cp !== 0xFE0F).map(cp => cp.toString(16)).join('-');
+    return withFE0F === withoutFE0F ? [withFE0F] : [withFE0F, withoutFE0F];
+}
+
+/**
+ * An emoji followed by the less specific emoji it degrades to when a set has
+ * no artwork for it: without tag characters (subdivision flags become the
+ * black flag), without skin tone modifiers, then the first element of a ZWJ
+ * sequence.
+ */
+export function emojiFallbacks(grapheme) {
+    const candidates = [grapheme];
+    const untagged = grapheme.replace(/[\u{E0020}-\u{E007F}]/gu, '');
+    const unmodified = untagged.replace(/\p{Emoji_Modifier}/gu, '');
+    for (const candidate of [untagged, unmodified, unmodified.split('\u200D')[0]]) {
+        if (candidate && !candidates.includes(candidate)) candidates.push(candidate);
+    }
+    return candidates;
+}
+
+/**
+ * SVG markup of an emoji from the bundled Twemoji set, or null.
+ */
+export async function loadEmojiSvg(grapheme) {
+    try {
+        const map = await _getEmojiMap();
+        return emojiKeys(grapheme).map(key => map[key]).find(Boolean) ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Normalize an emoji set into a provider, async (grapheme) => SVG markup or
+ * null. `source` is a Map or object keyed like emojiKeys() (e.g. '1f525',
+ * '1f3f3-fe0f-200d-1f308'), or a function (grapheme, keys) => markup (or a
+ * promise of it). Without a source the bundled Twemoji set is used.
+ */
+export function createEmojiProvider(source = null) {
+    if (!source) return loadEmojiSvg;
+    if (typeof source === 'function') {
+        return async grapheme => (await source(grapheme, emojiKeys(grapheme))) || null;
+    }
+    const lookup = source instanceof Map ? key => source.get(key) : key => source[key];
+    return async grapheme => emojiKeys(grapheme).map(lookup).find(Boolean) ?? null;
+}
+
+/**
+ * Whether an emoji is drawn through fonts rather than artwork: with a text
+ * presentation selector (VS15), or for every emoji with emojiStyle 'text'.
+ */
+export function isTextPresentation(grapheme, emojiStyle = 'color') {
+    return emojiStyle === 'text' || grapheme.includes('\uFE0E');
+}
+
+const ROOT_REGEX = /<svg\b([^>]*?)\/?>([\s\S]*?)(?:<\/svg>\s*)?$/;
+const ATTRIBUTE_REGEX = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Root attributes that describe the document rather than paint its content
+const ROOT_ONLY_ATTRIBUTES = new Set(['x', 'y', 'width', 'height', 'viewBox', 'preserveAspectRatio', 'version', 'id', 'baseProfile', 'enable-background', 'style']);
+
+/**
+ * Parse emoji SVG markup into { content, viewBox: [minX, minY, width, height],
+ * attributes } where `attributes` are the root's presentation attributes as
+ * markup. The viewBox falls back to the root's width and height, then to
+ * Twemoji's 36-unit box. Ids are prefixed with `idPrefix` so artwork from
+ * different emoji cannot clash. Returns null when there is no <svg> root.
+ */
+export function parseEmojiSvg(svg, idPrefix = '') {
+    const match = svg?.match(ROOT_REGEX);
+    if (!match) return null;
+    const root = {};
+    for (const [, name, double, single] of match[1].matchAll(ATTRIBUTE_REGEX)) root[name] = double ?? single;
+
+    const viewBox = root.viewBox?.trim().split(/[\s,]+/).map(Number);
+    const size = ['width', 'height'].map(name => parseFloat(root[name]));
+    const box = viewBox?.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0
+        ? viewBox
+        : size.every(v => v > 0) ? [0, 0, ...size] : [0, 0, 36, 36];
+
+    const attributes = Object.entries(root)
+        .filter(([name]) => !ROOT_ONLY_ATTRIBUTES.has(name) && !name.startsWith('xmlns'))
+        .map(([name, value]) => ` ${name}="${value}"`)
+        .join('');
+
+    let content = match[2];
+    if (idPrefix) {
+        content = content
+            .replace(/(\s)id\s*=\s*(["'])([^"']+)\2/g, (_, space, quote, id) => `${space}id=${quote}${idPrefix}${id}${quote}`)
+            .replace(/url\(\s*(["']?)#([^"')\s]+)\1\s*\)/g, (_, quote, id) => `url(#${idPrefix}${id})`)
+            .replace(/(\s(?:xlink:)?href)\s*=\s*(["'])#([^"']+)\2/g, (_, name, quote, id) => `${name}=${quote}#${idPrefix}${id}${quote}`);
+    }
+    return { content, viewBox: box, attributes };
+}
@@ -5,7 +5,12 @@ import hbPromise from 'harfbuzzjs';
 import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createHash } from 'node:crypto';
 import { decompress } from '../utils/decompress.js';
+import { unwrapFont } from '../utils/woff.js';
+import { parseCPAL, parseCOLR, parseSbix, parseCBDT } from '../utils/color-font.js';
+import { createLRUCache } from '../utils/lru-cache.js';
+import { transformPathData } from '../utils/path-geometry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,108 +25,983 @@ async function getHb() {
 
 /**
  * Create a harfbuzzjs font from an ArrayBuffer.
- * Returns { hbFont, hbFace, hbBlob, upem } or null on failure.
+ * Returns { hbFont, hbFace, hbBlob, upem, axes } or null on failure.
+ * `axes` holds the fvar axis ranges ({} for static fonts).
  */
 async function createHbFont(arrayBuffer) {
     const hb = await getHb();
     const blob = hb.createBlob(arrayBuffer);
     const face = hb.createFace(blob, 0);
     const font = hb.createFont(face);
-    return { hbFont: font, hbFace: face, hbBlob: blob, upem: face.upem };
+    return { hbFont: font, hbFace: face, hbBlob: blob, upem: face.upem, axes: face.getAxisInfos() };
 }
 
 /**
- * Map font family names to local gzipped TTF filenames in fonts/ directory.
+ * Free the HarfBuzz objects of a font and its variation instances.
  */
+function destroyHbFont(fontObj) {
+    fontObj.instances?.clear();
+    fontObj.hbFont.destroy();
+    fontObj.hbFace.destroy();
+    fontObj.hbBlob.destroy();
+    fontObj.destroyed = true;
+}
+
+/**
+ * SHA-256 of font data as hex, the key of loaded primary fonts.
+ */
+function hashFontData(data) {
+    const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+    return createHash('sha256').update(bytes).digest('hex');
+}
+
+const FONT_STRETCH_KEYWORDS = {
+    'ultra-condensed': 50,
+    'extra-condensed': 62.5,
+    'condensed': 75,
+    'semi-condensed': 87.5,
+    'normal': 100,
+    'semi-expanded': 112.5,
+    'expanded': 125,
+    'extra-expanded': 150,
+    'ultra-expanded': 200
+};
+
+// CSS default angle for `oblique` without an explicit angle
+const DEFAULT_OBLIQUE_ANGLE = 14;
+
+function parseVariationSettings(value) {
+    const settings = {};
+    if (!value || value.trim() === 'normal') return settings;
+    const regex = /["']([\x20-\x7E]{4})["']\s+(-?[\d.]+)/g;
+    let m;
+    while ((m = regex.exec(value)) !== null) settings[m[1]] = parseFloat(m[2]);
+    return settings;
+}
+
+/**
+ * Map font family names to the brotli-compressed TTF faces in fonts/,
+ * one entry per bundled weight/style.
+ */
+const regularAndBold = (slug) => [
+    { file: `${slug}-regular.ttf.br`, weight: 400, style: 'normal' },
+    { file: `${slug}-bold.ttf.br`,    weight: 700, style: 'normal' }
+];
+
 const LOCAL_FONT_FILES = {
-    'Noto+Sans':            'noto-sans-bold.ttf.br',
-    'Noto+Naskh+Arabic':    'noto-naskh-arabic-bold.ttf.br',
-    'Noto+Sans+Hebrew':     'noto-sans-hebrew-bold.ttf.br',
-    'Noto+Sans+KR':         'noto-sans-kr-bold.ttf.br',
-    'Noto+Sans+SC':         'noto-sans-sc-bold.ttf.br',
-    'Noto+Sans+Devanagari': 'noto-sans-devanagari-bold.ttf.br',
-    'Noto+Sans+Bengali':    'noto-sans-bengali-bold.ttf.br',
-    'Noto+Sans+Gurmukhi':   'noto-sans-gurmukhi-bold.ttf.br',
-    'Noto+Sans+Gujarati':   'noto-sans-gujarati-bold.ttf.br',
-    'Noto+Sans+Tamil':      'noto-sans-tamil-bold.ttf.br',
-    'Noto+Sans+Telugu':     'noto-sans-telugu-bold.ttf.br',
-    'Noto+Sans+Kannada':    'noto-sans-kannada-bold.ttf.br',
-    'Noto+Sans+Malayalam':  'noto-sans-malayalam-bold.ttf.br',
-    'Noto+Sans+Thai':       'noto-sans-thai-bold.ttf.br',
-    'Noto+Sans+Lao':        'noto-sans-lao-bold.ttf.br',
-    'Noto+Sans+Myanmar':    'noto-sans-myanmar-bold.ttf.br',
-    'Noto+Sans+Armenian':   'noto-sans-armenian-bold.ttf.br',
-    'Noto+Sans+Georgian':   'noto-sans-georgian-bold.ttf.br',
+    'Noto+Sans': [
+        ...regularAndBold('noto-sans'),
+        { file: 'noto-sans-italic.ttf.br',      weight: 400, style: 'italic' },
+        { file: 'noto-sans-bold-italic.ttf.br', weight: 700, style: 'italic' }
+    ],
+    'Noto+Serif':           regularAndBold('noto-serif'),
+    'Noto+Sans+Mono':       regularAndBold('noto-sans-mono'),
+    'Noto+Naskh+Arabic':    regularAndBold('noto-naskh-arabic'),
+    'Noto+Sans+Hebrew':     regularAndBold('noto-sans-hebrew'),
+    'Noto+Sans+KR':         regularAndBold('noto-sans-kr'),
+    'Noto+Sans+Devanagari': regularAndBold('noto-sans-devanagari'),
+    'Noto+Sans+Bengali':    regularAndBold('noto-sans-bengali'),
+    'Noto+Sans+Gurmukhi':   regularAndBold('noto-sans-gurmukhi'),
+    'Noto+Sans+Gujarati':   regularAndBold('noto-sans-gujarati'),
+    'Noto+Sans+Tamil':      regularAndBold('noto-sans-tamil'),
+    'Noto+Sans+Telugu':     regularAndBold('noto-sans-telugu'),
+    'Noto+Sans+Kannada':    regularAndBold('noto-sans-kannada'),
+    'Noto+Sans+Malayalam':  regularAndBold('noto-sans-malayalam'),
+    'Noto+Sans+Thai':       regularAndBold('noto-sans-thai'),
+    'Noto+Sans+Lao':        regularAndBold('noto-sans-lao'),
+    'Noto+Sans+Myanmar':    regularAndBold('noto-sans-myanmar'),
+    'Noto+Sans+Armenian':   regularAndBold('noto-sans-armenian'),
+    'Noto+Sans+Georgian':   regularAndBold('noto-sans-georgian'),
 };
 
+// Weight/style used when a caller does not ask for one (the original bold-only behaviour)
+const DEFAULT_LOCAL_VARIANT = { weight: 700, style: 'normal' };
+
+// Code points a font does not need glyphs for (joiners, variation selectors, tags)
+const IGNORABLE_REGEX = /\p{Default_Ignorable_Code_Point}/u;
+
+/**
+ * Parse a CSS unicode-range value ("U+0-7F, U+0590-05FF, U+4??") into
+ * [first, last] code point pairs.
+ */
+function parseUnicodeRange(value) {
+    const ranges = [];
+    for (const part of String(value).split(',')) {
+        const m = part.trim().match(/^U\+([0-9a-f?]{1,6})(?:-([0-9a-f]{1,6}))?$/i);
+        if (!m) throw new Error(`Invalid unicode-range: "${part.trim()}"`);
+        if (m[1].includes('?')) {
+            ranges.push([parseInt(m[1].replace(/\?/g, '0'), 16), parseInt(m[1].replace(/\?/g, 'F'), 16)]);
+        } else {
+            ranges.push([parseInt(m[1], 16), parseInt(m[2] ?? m[1], 16)]);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Build the script-detection regex for a registered font from its unicode
+ * ranges and Unicode script names (e.g. 'Ethiopic', 'Sinhala', 'Khmr').
+ * Invalid script names throw a SyntaxError.
+ */
+function buildCoverageRegex(ranges, scripts) {
+    const alternatives = [];
+    if (ranges.length) {
+        alternatives.push(`[${ranges.map(([a, b]) => `\\u{${a.toString(16)}}-\\u{${b.toString(16)}}`).join('')}]`);
+    }
+    for (const script of scripts) alternatives.push(`\\p{Script=${script}}`);
+    return alternatives.length ? new RegExp(alternatives.join('|'), 'u') : null;
+}
+
+function normalizeWeightRange(weight) {
+    if (Array.isArray(weight)) return [Number(weight[0]), Number(weight[1] ?? weight[0])];
+    const values = String(weight).trim().split(/\s+/).map(v => ({ normal: 400, bold: 700 }[v] ?? Number(v)));
+    if (values.some(Number.isNaN)) throw new Error(`Invalid font weight: "${weight}"`);
+    return [Math.min(...values), Math.max(...values)];
+}
+
+/**
+ * Read the ascender and descender of a face (font units, descender negative)
+ * from OS/2 typo metrics when USE_TYPO_METRICS is set, else from hhea.
+ * harfbuzzjs' hExtents() is not used: it allocates too little stack for
+ * hb_font_extents_t and corrupts the WASM stack.
+ */
+function readFontExtents(face) {
+    const os2 = face.reference_table('OS/2')?.slice();
+    if (os2 && os2.length >= 72) {
+        const view = new DataView(os2.buffer);
+        if (view.getUint16(62) & 0x80) return { ascender: view.getInt16(68), descender: view.getInt16(70) };
+    }
+    const hhea = face.reference_table('hhea')?.slice();
+    if (hhea && hhea.length >= 8) {
+        const view = new DataView(hhea.buffer);
+        return { ascender: view.getInt16(4), descender: view.getInt16(6) };
+    }
+    return { ascender: face.upem * 0.8, descender: -face.upem * 0.2 };
+}
+
+/**
+ * Read the horizontal-axis baseline coordinates of a BASE table as
+ * { tag: coordinate } (font units), using the DFLT script's values, else
+ * latn's, else the first script's. Returns {} when there are none.
+ */
+function readBaseTable(face) {
+    const table = face.reference_table('BASE')?.slice();
+    if (!table || table.length < 8) return {};
+    const view = new DataView(table.buffer);
+    try {
+        const axis = view.getUint16(4);
+        if (!axis || !view.getUint16(axis) || !view.getUint16(axis + 2)) return {};
+        const tagList = axis + view.getUint16(axis);
+        const scriptList = axis + view.getUint16(axis + 2);
+        const tagAt = offset => String.fromCharCode(...table.subarray(offset, offset + 4));
+
+        const tags = [];
+        for (let i = 0; i < view.getUint16(tagList); i++) tags.push(tagAt(tagList + 2 + i * 4));
+        const scripts = new Map();
+        for (let i = 0; i < view.getUint16(scriptList); i++) {
+            const record = scriptList + 2 + i * 6;
+            scripts.set(tagAt(record), scriptList + view.getUint16(record + 4));
+        }
+        const script = scripts.get('DFLT') ?? scripts.get('latn') ?? scripts.values().next().value;
+        if (script == null || !view.getUint16(script)) return {};
+
+        const values = script + view.getUint16(script);
+        const coordinates = {};
+        const count = Math.min(view.getUint16(values + 2), tags.length);
+        for (let i = 0; i < count; i++) {
+            // Every BaseCoord format starts with { format, coordinate }
+            coordinates[tags[i]] = view.getInt16(values + view.getUint16(values + 4 + i * 2) + 2);
+        }
+        return coordinates;
+    } catch {
+        // Offsets past the end of a malformed table
+        return {};
+    }
+}
+
+/**
+ * Read the baseline table of a face (font units, Y-up from the alphabetic
+ * origin) from BASE, OS/2 (x-height, superscript and subscript offsets) and
+ * the ascender/descender, with the usual fallbacks for missing values.
+ */
+function readBaselines(face, { ascender, descender }) {
+    const base = readBaseTable(face);
+    const os2 = face.reference_table('OS/2')?.slice();
+    const view = os2 ? new DataView(os2.buffer) : null;
+    const xHeight = os2?.length >= 88 && view.getUint16(0) >= 2 && view.getInt16(86) > 0 ? view.getInt16(86) : face.upem * 0.5;
+    const superscript = os2?.length >= 26 && view.getInt16(24) ? view.getInt16(24) : face.upem * 0.33;
+    const subscript = os2?.length >= 18 && view.getInt16(16) ? -view.getInt16(16) : -face.upem * 0.2;
+
+    const alphabetic = base.romn ?? 0;
+    const ideographic = base.ideo ?? descender;
+    const ideographicTop = base.idtp ?? (base.ideo != null ? base.ideo + face.upem : ascender);
+    return {
+        alphabetic,
+        ideographic,
+        hanging: base.hang ?? ascender * 0.8,
+        mathematical: base.math ?? ascender * 0.5,
+        central: (ideographic + ideographicTop) / 2,
+        middle: alphabetic + xHeight / 2,
+        textTop: ascender,
+        textBottom: descender,
+        superscript,
+        subscript
+    };
+}
+
+/**
+ * Read the text decoration metrics of a face as { line: [top, thickness] }
+ * (font units, Y-up): underline from post, line-through from the OS/2
+ * strikeout and overline at the ascender with the underline thickness.
+ */
+function readDecorationMetrics(face, { ascender }) {
+    const post = face.reference_table('post')?.slice();
+    const os2 = face.reference_table('OS/2')?.slice();
+    const postView = post?.length >= 12 ? new DataView(post.buffer) : null;
+    const os2View = os2?.length >= 30 ? new DataView(os2.buffer) : null;
+    const underlineThickness = postView?.getInt16(10) > 0 ? postView.getInt16(10) : face.upem * 0.05;
+    const underlinePosition = postView?.getInt16(8) || -face.upem * 0.1;
+    const strikeoutThickness = os2View?.getInt16(26) > 0 ? os2View.getInt16(26) : underlineThickness;
+    const strikeoutPosition = os2View?.getInt16(28) || face.upem * 0.3;
+    return {
+        'underline': [underlinePosition, underlineThickness],
+        'overline': [ascender, underlineThickness],
+        'line-through': [strikeoutPosition, strikeoutThickness]
+    };
+}
+
+/**
+ * Read the vertical origin data of a face: VORG origins (CFF fonts) and the
+ * vmtx top side bearings. Table bytes are copied out of the WASM heap.
+ */
+function readVerticalMetrics(face) {
+    const metrics = { defaultOriginY: null, originY: new Map(), topSideBearings: null };
+    const vorg = face.reference_table('VORG')?.slice();
+    if (vorg && vorg.length >= 8) {
+        const view = new DataView(vorg.buffer);
+        metrics.defaultOriginY = view.getInt16(4);
+        const count = view.getUint16(6);
+        for (let i = 0; i < count && 12 + i * 4 <= vorg.length; i++) {
+            metrics.originY.set(view.getUint16(8 + i * 4), view.getInt16(10 + i * 4));
+        }
+    }
+    const vhea = face.reference_table('vhea')?.slice();
+    const vmtx = face.reference_table('vmtx')?.slice();
+    if (vhea && vmtx && vhea.length >= 36) {
+        const longMetrics = new DataView(vhea.buffer).getUint16(34);
+        const view = new DataView(vmtx.buffer);
+        metrics.topSideBearings = glyphId => {
+            const offset = glyphId < longMetrics ? glyphId * 4 + 2 : longMetrics * 4 + (glyphId - longMetrics) * 2;
+            return offset + 2 <= vmtx.length ? view.getInt16(offset) : null;
+        };
+    }
+    return metrics;
+}
+
+/**
+ * Read the color glyph tables of a face: COLR layers or paint graphs with
+ * their CPAL palettes, and sbix or CBDT bitmaps. Returns null when the face
+ * has none. Malformed tables are skipped.
+ */
+function readColorTables(face) {
+    const table = tag => {
+        const bytes = face.reference_table(tag)?.slice();
+        return bytes?.length ? bytes : null;
+    };
+    const read = (tag, parse) => {
+        try {
+            return parse();
+        } catch (error) {
+            console.warn(`Failed to read ${tag} table:`, error.message);
+            return null;
+        }
+    };
+    const colrBytes = table('COLR');
+    const cpalBytes = table('CPAL');
+    const sbixBytes = table('sbix');
+    const cblcBytes = table('CBLC');
+    const cbdtBytes = table('CBDT');
+    if (!colrBytes && !sbixBytes && !(cblcBytes && cbdtBytes)) return null;
+
+    const maxp = table('maxp');
+    const numGlyphs = maxp?.length >= 6 ? new DataView(maxp.buffer).getUint16(4) : 0;
+    const colr = colrBytes && read('COLR', () => parseCOLR(colrBytes));
+    const cpal = colr && cpalBytes ? read('CPAL', () => parseCPAL(cpalBytes)) : null;
+    return {
+        colr,
+        palettes: cpal?.palettes ?? [],
+        paletteTypes: cpal?.types ?? [],
+        sbix: sbixBytes && read('sbix', () => parseSbix(sbixBytes, numGlyphs)),
+        cbdt: cblcBytes && cbdtBytes ? read('CBDT', () => parseCBDT(cblcBytes, cbdtBytes)) : null
+    };
+}
+
 export class FontLoader {
+    // Bundled face (family|weight|style) => promise of its loaded font
     static _fontCache = new Map();
 
-    static async _loadLocalFont(fontFamily) {
-        const cacheKey = fontFamily;
-        if (this._fontCache.has(cacheKey)) {
-            return this._fontCache.get(cacheKey);
+    /**
+     * Sizes of the font caches: loaded primary (embedded and registered)
+     * fonts, and per font the variation instances, shaped runs and glyph
+     * outlines. Change them with configureCache().
+     */
+    static CACHE_LIMITS = { fonts: 32, instances: 64, shapedRuns: 1000, glyphOutlines: 5000 };
+
+    // Font data hash => promise of the primary font loaded from it
+    static _primaryFonts = createLRUCache({
+        max: this.CACHE_LIMITS.fonts,
+        onEvict: promise => promise.then(fontObj => {
+            fontObj.evicted = true;
+            if (!fontObj.refs) destroyHbFont(fontObj);
+        }, () => {})
+    });
+
+    // Global font registry (see createRegistry)
+    static _registry = { families: new Map(), scriptFonts: [] };
+
+    /**
+     * Register a font face at runtime, for every renderer.
+     * `source` is the font data (ArrayBuffer, typed array or Buffer; TTF, OTF,
+     * WOFF or WOFF2) or a loader function returning it (or a promise of it),
+     * called the first time the face is needed.
+     * Fonts given `scripts` (Unicode script names) or a `unicodeRange` take part
+     * in script detection ahead of the bundled fonts; every registered family
+     * can be selected through font-family and used as the fallback font.
+     */
+    static registerFont(family, source, descriptors = {}) {
+        return this._addRegistration(this._registry, family, source, descriptors);
+    }
+
+    /**
+     * Create a font registry of its own for `fonts` ([{ family, source, weight,
+     * style, unicodeRange, scripts }], as for registerFont). Passed to the
+     * loading methods, its families and script entries take precedence over
+     * the global ones; give its fonts back with releaseRegistry() when done.
+     */
+    static createRegistry(fonts = []) {
+        const registry = { families: new Map(), scriptFonts: [] };
+        for (const { family, source, ...descriptors } of fonts) this._addRegistration(registry, family, source, descriptors);
+        return registry;
+    }
+
+    /**
+     * Release the fonts a registry from createRegistry() has loaded.
+     */
+    static releaseRegistry(registry) {
+        for (const registrations of registry.families.values()) {
+            for (const registration of registrations) registration.promise?.then(fontObj => this.releaseFont(fontObj));
+        }
+    }
+
+    static _addRegistration(registry, family, source, { weight = 400, style = 'normal', unicodeRange = null, scripts = [] } = {}) {
+        if (!family || typeof family !== 'string') throw new Error('registerFont: family must be a non-empty string');
+        if (!source || (typeof source !== 'function' && !ArrayBuffer.isView(source) && !(source instanceof ArrayBuffer))) {
+            throw new Error('registerFont: source must be font data or a loader function');
         }
 
-        const filename = LOCAL_FONT_FILES[fontFamily];
-        if (!filename) return null;
+        const ranges = unicodeRange ? parseUnicodeRange(unicodeRange) : [];
+        const registration = {
+            family,
+            weight: normalizeWeightRange(weight),
+            style,
+            unicodeRange: ranges.length ? ranges : null,
+            scripts: [...scripts],
+            source,
+            promise: null
+        };
+        const regex = buildCoverageRegex(ranges, registration.scripts);
+
+        const key = family.toLowerCase();
+        if (!registry.families.has(key)) registry.families.set(key, []);
+        registry.families.get(key).push(registration);
+        if (regex) registry.scriptFonts.push({ regex, fonts: [family], registered: true });
+        return registration;
+    }
 
-        const fontPath = join(FONTS_DIR, filename);
-        if (!existsSync(fontPath)) return null;
+    /**
+     * Remove every globally registered face of `family`. Returns whether any existed.
+     */
+    static unregisterFont(family) {
+        const key = family.toLowerCase();
+        for (const registration of this._registry.families.get(key) ?? []) {
+            registration.promise?.then(fontObj => this.releaseFont(fontObj));
+        }
+        this._registry.scriptFonts = this._registry.scriptFonts.filter(entry => entry.fonts[0].toLowerCase() !== key);
+        return this._registry.families.delete(key);
+    }
 
-        const brBuf = readFileSync(fontPath);
-        const fontBuffer = await decompress(brBuf);
-        const fontObj = await createHbFont(fontBuffer.buffer.slice(fontBuffer.byteOffset, fontBuffer.byteOffset + fontBuffer.byteLength));
-        this._fontCache.set(cacheKey, fontObj);
-        return fontObj;
+    // Registrations of `family` in `registry`, else in the global registry
+    static _registrations(family, registry = null) {
+        const key = family.toLowerCase();
+        return registry?.families.get(key) ?? this._registry.families.get(key) ?? [];
     }
 
+    static isRegistered(family, registry = null) {
+        return !!family && this._registrations(family, registry).length > 0;
+    }
+
+    static async _loadRegistration(registration) {
+        registration.promise ??= (async () => {
+            try {
+                const data = typeof registration.source === 'function' ? await registration.source() : registration.source;
+                return await this.loadPrimaryFont(data);
+            } catch (error) {
+                console.warn(`Failed to load registered font "${registration.family}":`, error.message);
+                return null;
+            }
+        })();
+        return registration.promise;
+    }
+
+    /**
+     * Load the registered faces of `family` (from `registry`, else global).
+     * Returns [{ family, weight, style, unicodeRange, font }] for matchFontFace().
+     */
+    static async loadRegisteredFaces(family, registry = null) {
+        const registrations = this._registrations(family, registry);
+        const faces = await Promise.all(registrations.map(async (registration) => {
+            const font = await this._loadRegistration(registration);
+            if (!font) return null;
+            const { weight, style, unicodeRange } = registration;
+            return { family: registration.family, weight, style, unicodeRange, font };
+        }));
+        return faces.filter(Boolean);
+    }
+
+    /**
+     * Default families for CSS generic font-family keywords; each value may be
+     * a bundled or a registered family. Override per renderer with the
+     * `genericFamilies` option.
+     */
+    static GENERIC_FAMILIES = {
+        'serif': 'Noto+Serif',
+        'sans-serif': 'Noto+Sans',
+        'monospace': 'Noto+Sans+Mono',
+        'cursive': 'Noto+Sans',
+        'fantasy': 'Noto+Sans',
+        'system-ui': 'Noto+Sans',
+        'ui-serif': 'Noto+Serif',
+        'ui-sans-serif': 'Noto+Sans',
+        'ui-monospace': 'Noto+Sans+Mono',
+        'ui-rounded': 'Noto+Sans'
+    };
+
+    /**
+     * Bundled family key for a name like "Noto Sans Hebrew" or "Noto+Sans+Hebrew".
+     */
+    static findLocalFamily(family) {
+        const key = family.trim().replace(/[\s+]+/g, '+').toLowerCase();
+        return Object.keys(LOCAL_FONT_FILES).find(name => name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Load the faces of a registered or bundled family.
+     * Returns [{ weight, style, font }] faces, or [] for unknown families.
+     */
+    static async loadFamilyFaces(family, variants = [DEFAULT_LOCAL_VARIANT], registry = null) {
+        if (this.isRegistered(family, registry)) return this.loadRegisteredFaces(family, registry);
+        const local = this.findLocalFamily(family);
+        return local ? this.loadLocalFaces(local, variants) : [];
+    }
+
+    /**
+     * Load the registered, bundled and generic families among `families`.
+     * Returns a Map of lowercased family name => faces for resolveFontStack().
+     */
+    static async loadFontFamilies(families, variants, genericFamilies = this.GENERIC_FAMILIES, registry = null) {
+        const familyFaces = new Map();
+        for (const family of families) {
+            const name = family.toLowerCase();
+            if (familyFaces.has(name)) continue;
+            const faces = await this.loadFamilyFaces(genericFamilies[name] ?? family, variants, registry);
+            if (faces.length) familyFaces.set(name, faces);
+        }
+        return familyFaces;
+    }
+
+    /**
+     * Pick the bundled face of `fontFamily` closest to the requested weight/style.
+     */
+    static _matchLocalFile(fontFamily, { weight, style } = DEFAULT_LOCAL_VARIANT) {
+        const files = LOCAL_FONT_FILES[fontFamily];
+        if (!files) return null;
+        const available = files
+            .filter(f => existsSync(join(FONTS_DIR, f.file)))
+            .map(f => ({ ...f, weight: [f.weight, f.weight] }));
+        return this.matchFontFace(available, { weight: weight ?? DEFAULT_LOCAL_VARIANT.weight, style: style ?? 'normal' });
+    }
+
+    static async _loadLocalFont(fontFamily, variant = DEFAULT_LOCAL_VARIANT) {
+        const entry = this._matchLocalFile(fontFamily, variant);
+        if (!entry) return null;
+
+        // Keyed on the matched face, so nearby requests share one loaded font;
+        // the promise is cached so concurrent requests share one load
+        const cacheKey = `${fontFamily}|${entry.weight[0]}|${entry.style}`;
+        let promise = this._fontCache.get(cacheKey);
+        if (!promise) {
+            promise = (async () => {
+                const brBuf = readFileSync(join(FONTS_DIR, entry.file));
+                const fontBuffer = await decompress(brBuf);
+                return createHbFont(fontBuffer.buffer.slice(fontBuffer.byteOffset, fontBuffer.byteOffset + fontBuffer.byteLength));
+            })();
+            this._fontCache.set(cacheKey, promise);
+            // Failures are not cached
+            promise.catch(() => this._fontCache.get(cacheKey) === promise && this._fontCache.delete(cacheKey));
+        }
+        return promise;
+    }
+
+    /**
+     * Load the bundled faces of `fontFamily` needed for a set of
+     * { weight, style } variants. Returns [{ weight, style, font }] faces
+     * (deduplicated) for matchFontFace().
+     */
+    static async loadLocalFaces(fontFamily, variants = [DEFAULT_LOCAL_VARIANT]) {
+        const faces = new Map();
+        for (const variant of variants) {
+            const entry = this._matchLocalFile(fontFamily, variant);
+            if (!entry || faces.has(entry.file)) continue;
+            const font = await this._loadLocalFont(fontFamily, variant);
+            if (font) faces.set(entry.file, { weight: entry.weight, style: entry.style, font });
+        }
+        return [...faces.values()];
+    }
+
+    /**
+     * Load a font from its data (TTF, OTF, WOFF or WOFF2). Fonts are cached
+     * by a hash of the data, so the same font embedded in many documents is
+     * parsed once; the least recently used are dropped beyond
+     * CACHE_LIMITS.fonts. The font stays usable until it is given back with
+     * releaseFont(), after which an evicted font's HarfBuzz objects are freed.
+     */
     static async loadPrimaryFont(fontBuffer) {
         if (!fontBuffer) return null;
 
         try {
-            return await createHbFont(fontBuffer.buffer.slice(fontBuffer.byteOffset, fontBuffer.byteOffset + fontBuffer.byteLength));
+            const key = hashFontData(fontBuffer);
+            let promise = this._primaryFonts.get(key);
+            if (!promise) {
+                promise = (async () => {
+                    // HarfBuzz only reads sfnt data, so WOFF/WOFF2 containers are unwrapped first
+                    const sfnt = await unwrapFont(fontBuffer);
+                    return createHbFont(sfnt.buffer.slice(sfnt.byteOffset, sfnt.byteOffset + sfnt.byteLength));
+                })();
+                this._primaryFonts.set(key, promise);
+                // Failures are not cached
+                promise.catch(() => this._primaryFonts.get(key) === promise && this._primaryFonts.delete(key));
+            }
+            const fontObj = await promise;
+            fontObj.refs = (fontObj.refs ?? 0) + 1;
+            return fontObj;
         } catch (error) {
             console.warn('Failed to load primary font:', error.message);
             return null;
         }
     }
 
-    static async loadFallbackFont(fontFamily = 'Noto+Sans') {
+    /**
+     * Give back a font from loadPrimaryFont() (or loadEmbeddedFonts()). Its
+     * HarfBuzz objects are freed once it has been evicted from the cache and
+     * no longer in use.
+     */
+    static releaseFont(fontObj) {
+        if (!fontObj?.refs) return;
+        fontObj.refs--;
+        if (!fontObj.refs && fontObj.evicted && !fontObj.destroyed) destroyHbFont(fontObj);
+    }
+
+    /**
+     * Change CACHE_LIMITS ({ fonts, instances, shapedRuns, glyphOutlines });
+     * the font cache shrinks right away, per-font caches as they are next used.
+     */
+    static configureCache(limits = {}) {
+        Object.assign(this.CACHE_LIMITS, limits);
+        this._primaryFonts.max = this.CACHE_LIMITS.fonts;
+    }
+
+    /**
+     * Evict every cached primary font, freeing those not in use (fonts of
+     * registered families stay loaded).
+     */
+    static clearFontCache() {
+        this._primaryFonts.clear();
+    }
+
+    /**
+     * Load every embedded @font-face (from extractEmbeddedFonts).
+     * Returns [{ family, weight, style, font }] for the faces HarfBuzz could load.
+     */
+    static async loadEmbeddedFonts(faces) {
+        const loaded = await Promise.all(faces.map(async (face) => {
+            const font = await this.loadPrimaryFont(face.buffer);
+            return font ? { family: face.family, weight: face.weight, style: face.style, font } : null;
+        }));
+        return loaded.filter(Boolean);
+    }
+
+    /**
+     * Split a CSS font-family list into unquoted family names.
+     */
+    static parseFontFamilyList(fontFamily) {
+        if (!fontFamily) return [];
+        const families = [];
+        const regex = /\s*(?:"([^"]*)"|'([^']*)'|([^,]+))\s*(?:,|$)/g;
+        let m;
+        while ((m = regex.exec(fontFamily)) !== null && m[0]) {
+            const name = (m[1] ?? m[2] ?? m[3] ?? '').trim().replace(/\s+/g, ' ');
+            if (name) families.push(name);
+        }
+        return families;
+    }
+
+    /**
+     * Pick the best face for a font-weight/font-style request following the
+     * CSS Fonts font matching algorithm (style first, then weight).
+     */
+    static matchFontFace(faces, { weight = 400, style = 'normal' } = {}) {
+        if (!faces || faces.length === 0) return null;
+
+        const styleOrder = {
+            italic: ['italic', 'oblique', 'normal'],
+            oblique: ['oblique', 'italic', 'normal'],
+            normal: ['normal', 'oblique', 'italic']
+        }[style] || ['normal', 'oblique', 'italic'];
+
+        let candidates = [];
+        for (const s of styleOrder) {
+            candidates = faces.filter(f => (f.style || 'normal') === s);
+            if (candidates.length) break;
+        }
+        if (!candidates.length) candidates = faces;
+
+        // Faces whose weight range contains the desired weight win outright
+        const exact = candidates.find(f => f.weight[0] <= weight && weight <= f.weight[1]);
+        if (exact) return exact;
+
+        // Otherwise search in the direction the spec prescribes for this weight
+        const below = candidates.filter(f => f.weight[1] < weight).sort((a, b) => b.weight[1] - a.weight[1]);
+        const above = candidates.filter(f => f.weight[0] > weight).sort((a, b) => a.weight[0] - b.weight[0]);
+        if (weight >= 400 && weight <= 500) {
+            const upTo500 = above.filter(f => f.weight[0] <= 500);
+            return upTo500[0] || below[0] || above[0];
+        }
+        return weight < 400 ? (below[0] || above[0]) : (above[0] || below[0]);
+    }
+
+    /**
+     * Choose the embedded face for a text element or span: the first family in
+     * its font-family list that has embedded faces, then the best weight/style
+     * match within that family. When no listed family is embedded, all embedded
+     * faces take part in matching.
+     */
+    static selectEmbeddedFont(faces, { fontFamily, fontWeight, fontStyle } = {}) {
+        if (!faces || faces.length === 0) return null;
+        const request = { weight: fontWeight, style: fontStyle };
+        for (const family of this.parseFontFamilyList(fontFamily)) {
+            const familyFaces = faces.filter(f => f.family && f.family.toLowerCase() === family.toLowerCase());
+            if (familyFaces.length) return this.matchFontFace(familyFaces, request).font;
+        }
+        return this.matchFontFace(faces, request).font;
+    }
+
+    /**
+     * Resolve a font-family list to the ordered fonts to try for each grapheme.
+     * Each family resolves to its best weight/style match among the embedded
+     * faces, or else the faces loaded by loadFontFamilies(); families that are
+     * not available are skipped. When nothing in the list is available, all
+     * embedded faces take part in matching, as in selectEmbeddedFont().
+     */
+    static resolveFontStack({ fontFamily, fontWeight, fontStyle } = {}, embeddedFaces = [], familyFaces = new Map()) {
+        const request = { weight: fontWeight, style: fontStyle };
+        const stack = [];
+        for (const family of this.parseFontFamilyList(fontFamily)) {
+            const name = family.toLowerCase();
+            const embedded = embeddedFaces.filter(f => f.family && f.family.toLowerCase() === name);
+            const faces = embedded.length ? embedded : familyFaces.get(name);
+            const font = faces?.length ? this.matchFontFace(faces, request).font : null;
+            if (font && !stack.includes(font)) stack.push(font);
+        }
+        if (stack.length === 0 && embeddedFaces.length > 0) stack.push(this.matchFontFace(embeddedFaces, request).font);
+        return stack;
+    }
+
+    /**
+     * Whether `fontObj` has glyphs for every code point of `text`
+     * (default-ignorable code points excepted). The cmap is read once per font.
+     */
+    static covers(fontObj, text) {
+        const base = fontObj?.parent ?? fontObj;
+        if (!base) return false;
+        base.coverage ??= new Set(base.hbFace.collectUnicodes());
+        for (const char of text) {
+            if (!base.coverage.has(char.codePointAt(0)) && !IGNORABLE_REGEX.test(char)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Ascender and descender of a font in font units (read once per font).
+     */
+    static getFontExtents(fontObj) {
+        const base = fontObj.parent ?? fontObj;
+        base.extents ??= readFontExtents(base.hbFace);
+        return base.extents;
+    }
+
+    /**
+     * Baseline table of a font in font units, Y-up from the alphabetic
+     * origin: alphabetic, ideographic, hanging, mathematical, central,
+     * middle, textTop, textBottom, superscript and subscript (read once per font).
+     */
+    static getBaselines(fontObj) {
+        const base = fontObj.parent ?? fontObj;
+        base.baselines ??= readBaselines(base.hbFace, this.getFontExtents(fontObj));
+        return base.baselines;
+    }
+
+    /**
+     * Underline, overline and line-through positions (top edge) and
+     * thicknesses of a font in font units, Y-up (read once per font).
+     */
+    static getDecorationMetrics(fontObj) {
+        const base = fontObj.parent ?? fontObj;
+        base.decorationMetrics ??= readDecorationMetrics(base.hbFace, this.getFontExtents(fontObj));
+        return base.decorationMetrics;
+    }
+
+    /**
+     * Color glyph tables of a font (see readColorTables), or null for
+     * outline-only fonts (read once per font).
+     */
+    static getColorFont(fontObj) {
+        const base = fontObj.parent ?? fontObj;
+        if (base.colorFont === undefined) base.colorFont = readColorTables(base.hbFace);
+        return base.colorFont;
+    }
+
+    /**
+     * Vertical origin of a glyph in font units ([x, y], Y-up from the
+     * horizontal origin): horizontally centered, and vertically from VORG,
+     * else vmtx top side bearing + glyph top. Fonts without vertical metrics
+     * center their ascender-descender box in the em.
+     */
+    static getVerticalOrigin(fontObj, glyphId) {
+        const base = fontObj.parent ?? fontObj;
+        base.verticalMetrics ??= readVerticalMetrics(base.hbFace);
+        const { defaultOriginY, originY, topSideBearings } = base.verticalMetrics;
+        const x = fontObj.hbFont.glyphHAdvance(glyphId) / 2;
+        if (defaultOriginY != null) return [x, originY.get(glyphId) ?? defaultOriginY];
+
+        const tsb = topSideBearings?.(glyphId);
+        const extents = tsb != null ? fontObj.hbFont.glyphExtents(glyphId) : null;
+        if (extents) return [x, tsb + extents.yBearing];
+        const { ascender, descender } = this.getFontExtents(fontObj);
+        return [x, (ascender + descender + fontObj.upem) / 2];
+    }
+
+    /**
+     * Map CSS font properties to variation axis coordinates for a variable font.
+     * Returns {} for static fonts. font-variation-settings overrides the values
+     * derived from font-weight, font-stretch, font-style and font-size (opsz).
+     */
+    static resolveVariations(fontObj, { fontWeight, fontStretch, fontStyle, fontSize, fontVariationSettings, fontOpticalSizing } = {}) {
+        const axes = fontObj?.axes;
+        if (!axes || Object.keys(axes).length === 0) return {};
+
+        const variations = {};
+        if (axes.wght && fontWeight) variations.wght = fontWeight;
+
+        if (axes.wdth && fontStretch) {
+            const stretch = fontStretch.trim().toLowerCase();
+            const value = FONT_STRETCH_KEYWORDS[stretch] ?? parseFloat(stretch);
+            if (!Number.isNaN(value)) variations.wdth = value;
+        }
+
+        if (fontStyle) {
+            const [keyword, angle] = fontStyle.trim().toLowerCase().split(/\s+/);
+            if (keyword === 'italic' && axes.ital) {
+                variations.ital = 1;
+            } else if (keyword === 'italic' || keyword === 'oblique') {
+                // slnt is counter-clockwise, so a rightward lean is negative
+                if (axes.slnt) variations.slnt = -(angle ? parseFloat(angle) : DEFAULT_OBLIQUE_ANGLE);
+            }
+        }
+
+        if (axes.opsz && fontSize && (fontOpticalSizing ?? 'auto') === 'auto') variations.opsz = fontSize;
+
+        Object.assign(variations, parseVariationSettings(fontVariationSettings));
+
+        // Only keep axes the font has, clamped to their ranges
+        for (const [tag, value] of Object.entries(variations)) {
+            const axis = axes[tag];
+            if (!axis || Number.isNaN(value)) delete variations[tag];
+            else variations[tag] = Math.min(axis.max, Math.max(axis.min, value));
+        }
+        return variations;
+    }
+
+    /**
+     * Return a font object at the given variation coordinates. Instances are
+     * separate HarfBuzz fonts on the same face, cached on the parent font
+     * object, so shaping and glyphToPath outlines both use the coordinates.
+     * Beyond CACHE_LIMITS.instances the least recently used are freed, so
+     * use an instance right away rather than keeping it.
+     */
+    static getFontInstance(fontObj, variations) {
+        if (!fontObj || !variations || Object.keys(variations).length === 0) return fontObj;
+
+        const key = Object.entries(variations).sort(([a], [b]) => a.localeCompare(b)).map(([tag, v]) => `${tag}=${v}`).join(',');
+        const instances = this._fontObjectCache(fontObj, 'instances', instance => instance.hbFont.destroy());
+        let instance = instances.get(key);
+        if (!instance) {
+            // The face is already loaded, so the HarfBuzz module is initialized
+            const hbFont = _hb.createFont(fontObj.hbFace);
+            hbFont.setVariations(variations);
+            instance = { ...fontObj, hbFont, variations, parent: fontObj, instances: undefined, shapedRuns: undefined, glyphOutlines: undefined };
+            instances.set(key, instance);
+        }
+        return instance;
+    }
+
+    /**
+     * LRU cache named `name` on a font object, sized by CACHE_LIMITS[name],
+     * passing evicted values to `onEvict`.
+     */
+    static _fontObjectCache(fontObj, name, onEvict = null) {
+        fontObj[name] ??= createLRUCache({ max: this.CACHE_LIMITS[name], onEvict });
+        if (fontObj[name].max !== this.CACHE_LIMITS[name]) fontObj[name].max = this.CACHE_LIMITS[name];
+        return fontObj[name];
+    }
+
+    /**
+     * Shape text with HarfBuzz and return its glyphs ({ g, cl, ax, ay, dx, dy },
+     * in font units). When `item` ({ offset, length }) is given only that part
+     * of the text is shaped, with the rest as context. Results are cached per
+     * font (or font instance) by text, item, features and direction; positions
+     * are unscaled, so one entry serves every font size.
+     */
+    static shapeText(fontObj, text, { item = null, features = '', direction = null } = {}) {
+        const cache = this._fontObjectCache(fontObj, 'shapedRuns');
+        const key = `${direction ?? ''}|${features}|${item ? `${item.offset},${item.length}` : ''}|${text}`;
+        let glyphs = cache.get(key);
+        if (glyphs) return glyphs;
+
+        // Fonts are loaded, so the HarfBuzz module is initialized
+        const buffer = _hb.createBuffer();
         try {
-            if (fontFamily.toLowerCase().includes('satoshi')) {
-                fontFamily = 'Noto+Sans';
+            if (item) {
+                buffer.addText(text, item.offset, item.length);
+            } else {
+                buffer.addText(text);
             }
-            return await this._loadLocalFont(fontFamily);
+            buffer.guessSegmentProperties();
+            if (direction) buffer.setDirection(direction);
+            if (features) {
+                _hb.shape(fontObj.hbFont, buffer, features);
+            } else {
+                _hb.shape(fontObj.hbFont, buffer);
+            }
+            glyphs = buffer.json();
+        } finally {
+            buffer.destroy();
+        }
+        cache.set(key, glyphs);
+        return glyphs;
+    }
+
+    /**
+     * Outline of a glyph as SVG path data, in font units (Y-up), or with
+     * `scale` applied and Y flipped for user space. Cached per font (or font
+     * instance).
+     */
+    static getGlyphOutline(fontObj, glyphId, scale = null) {
+        const cache = this._fontObjectCache(fontObj, 'glyphOutlines');
+        const key = scale === null ? glyphId : `${glyphId}@${scale}`;
+        let pathData = cache.get(key);
+        if (pathData === undefined) {
+            pathData = scale === null
+                ? fontObj.hbFont.glyphToPath(glyphId)
+                : transformPathData(this.getGlyphOutline(fontObj, glyphId), [scale, 0, 0, -scale, 0, 0]);
+            cache.set(key, pathData);
+        }
+        return pathData;
+    }
+
+    static async loadFallbackFont(fontFamily = 'Noto+Sans', variant = DEFAULT_LOCAL_VARIANT) {
+        try {
+            const faces = await this.loadFamilyFaces(this.GENERIC_FAMILIES[fontFamily.toLowerCase()] ?? fontFamily, [variant]);
+            return this.matchFontFace(faces, variant)?.font || null;
         } catch (error) {
             console.warn('Failed to load fallback font:', error.message);
             return null;
         }
     }
 
+    /**
+     * Like loadFallbackFont, but loads one face per needed weight/style variant.
+     * `fontFamily` may be a bundled, registered or generic family.
+     */
+    static async loadFallbackFaces(fontFamily = 'Noto+Sans', variants = [DEFAULT_LOCAL_VARIANT], genericFamilies = this.GENERIC_FAMILIES, registry = null) {
+        try {
+            return await this.loadFamilyFaces(genericFamilies[fontFamily.toLowerCase()] ?? fontFamily, variants, registry);
+        } catch (error) {
+            console.warn('Failed to load fallback font:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Load a fallback chain: a font-family list (string) or an array of
+     * families, each bundled, registered or generic. Returns one faces array
+     * per family that could be loaded, in order.
+     */
+    static async loadFallbackChain(fontFamilies = 'Noto+Sans', variants = [DEFAULT_LOCAL_VARIANT], genericFamilies = this.GENERIC_FAMILIES, registry = null) {
+        const families = Array.isArray(fontFamilies) ? fontFamilies : this.parseFontFamilyList(fontFamilies);
+        const chain = await Promise.all(families.map(family => this.loadFallbackFaces(family, variants, genericFamilies, registry)));
+        return chain.filter(faces => faces.length > 0);
+    }
+
+    /**
+     * Bundled script fonts: `regex` detects the script in text, `coverage` (by
+     * Unicode Script_Extensions) limits the characters loadCoveringFonts
+     * probes the font's cmap for.
+     */
     static SCRIPT_FONTS = [
-        { regex: /[\u0600-\u06FF\u0750-\u077F]/, fonts: ['Noto+Naskh+Arabic'] },
-        { regex: /[\u0590-\u05FF]/, fonts: ['Noto+Sans+Hebrew'] },
-        { regex: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/, fonts: ['Noto+Sans+KR'] },
-        { regex: /[\u3400-\u4DBF\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF]/, fonts: ['Noto+Sans+SC'] },
-        { regex: /[\u0900-\u097F]/, fonts: ['Noto+Sans+Devanagari'] },
-        { regex: /[\u0980-\u09FF]/, fonts: ['Noto+Sans+Bengali'] },
-        { regex: /[\u0A00-\u0A7F]/, fonts: ['Noto+Sans+Gurmukhi'] },
-        { regex: /[\u0A80-\u0AFF]/, fonts: ['Noto+Sans+Gujarati'] },
-        { regex: /[\u0B80-\u0BFF]/, fonts: ['Noto+Sans+Tamil'] },
-        { regex: /[\u0C00-\u0C7F]/, fonts: ['Noto+Sans+Telugu'] },
-        { regex: /[\u0C80-\u0CFF]/, fonts: ['Noto+Sans+Kannada'] },
-        { regex: /[\u0D00-\u0D7F]/, fonts: ['Noto+Sans+Malayalam'] },
-        { regex: /[\u0E00-\u0E7F]/, fonts: ['Noto+Sans+Thai'] },
-        { regex: /[\u0E80-\u0EFF]/, fonts: ['Noto+Sans+Lao'] },
-        { regex: /[\u1000-\u109F]/, fonts: ['Noto+Sans+Myanmar'] },
-        { regex: /[\u0530-\u058F]/, fonts: ['Noto+Sans+Armenian'] },
-        { regex: /[\u10A0-\u10FF]/, fonts: ['Noto+Sans+Georgian'] },
-        { regex: /[\u0400-\u04FF\u0370-\u03FF]/, fonts: ['Noto+Sans'] },
+        { regex: /[\u0600-\u06FF\u0750-\u077F]/, coverage: /\p{scx=Arabic}/u, fonts: ['Noto+Naskh+Arabic'] },
+        { regex: /[\u0590-\u05FF]/, coverage: /\p{scx=Hebrew}/u, fonts: ['Noto+Sans+Hebrew'] },
+        // Noto Sans KR also has kana and the common Han ideographs
+        {
+            regex: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F\u3400-\u4DBF\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF]/,
+            coverage: /[\p{scx=Hangul}\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\u3000-\u303F\uFF00-\uFFEF]/u,
+            fonts: ['Noto+Sans+KR']
+        },
+        { regex: /[\u0900-\u097F]/, coverage: /\p{scx=Devanagari}/u, fonts: ['Noto+Sans+Devanagari'] },
+        { regex: /[\u0980-\u09FF]/, coverage: /\p{scx=Bengali}/u, fonts: ['Noto+Sans+Bengali'] },
+        { regex: /[\u0A00-\u0A7F]/, coverage: /\p{scx=Gurmukhi}/u, fonts: ['Noto+Sans+Gurmukhi'] },
+        { regex: /[\u0A80-\u0AFF]/, coverage: /\p{scx=Gujarati}/u, fonts: ['Noto+Sans+Gujarati'] },
+        { regex: /[\u0B80-\u0BFF]/, coverage: /\p{scx=Tamil}/u, fonts: ['Noto+Sans+Tamil'] },
+        { regex: /[\u0C00-\u0C7F]/, coverage: /\p{scx=Telugu}/u, fonts: ['Noto+Sans+Telugu'] },
+        { regex: /[\u0C80-\u0CFF]/, coverage: /\p{scx=Kannada}/u, fonts: ['Noto+Sans+Kannada'] },
+        { regex: /[\u0D00-\u0D7F]/, coverage: /\p{scx=Malayalam}/u, fonts: ['Noto+Sans+Malayalam'] },
+        { regex: /[\u0E00-\u0E7F]/, coverage: /\p{scx=Thai}/u, fonts: ['Noto+Sans+Thai'] },
+        { regex: /[\u0E80-\u0EFF]/, coverage: /\p{scx=Lao}/u, fonts: ['Noto+Sans+Lao'] },
+        { regex: /[\u1000-\u109F]/, coverage: /\p{scx=Myanmar}/u, fonts: ['Noto+Sans+Myanmar'] },
+        { regex: /[\u0530-\u058F]/, coverage: /\p{scx=Armenian}/u, fonts: ['Noto+Sans+Armenian'] },
+        { regex: /[\u10A0-\u10FF]/, coverage: /\p{scx=Georgian}/u, fonts: ['Noto+Sans+Georgian'] },
+        { regex: /[\u0400-\u04FF\u0370-\u03FF]/, coverage: /[\p{scx=Latin}\p{scx=Greek}\p{scx=Cyrillic}\p{scx=Common}\p{scx=Inherited}]/u, fonts: ['Noto+Sans'] },
     ];
 
-    static getScriptFont(char) {
-        for (const entry of this.SCRIPT_FONTS) {
+    /**
+     * Script-detection entries in priority order: fonts of `registry`, globally
+     * registered fonts, then bundled.
+     */
+    static getScriptFontEntries(registry = null) {
+        return [...(registry?.scriptFonts ?? []), ...this._registry.scriptFonts, ...this.SCRIPT_FONTS];
+    }
+
+    static getScriptFont(char, registry = null) {
+        for (const entry of this.getScriptFontEntries(registry)) {
             if (entry.regex.test(char)) return entry;
         }
         return null;
@@ -140,20 +1020,58 @@ export class FontLoader {
         return this.CJK_REGEX.test(char);
     }
 
-    static async loadInternationalFonts(text) {
+    /**
+     * Load the bundled script fonts needed for `text`.
+     * Without `variants` the map holds one (bold) font per script entry; with
+     * a list of { weight, style } variants it holds an array of faces per entry
+     * for weight/style matching. Registered script fonts come from `registry`
+     * and the global registry.
+     */
+    static async loadInternationalFonts(text, variants = null, registry = null) {
         const fontMap = new Map();
 
-        // Detect which scripts are present and load their local fonts
-        for (const entry of this.SCRIPT_FONTS) {
+        // Detect which scripts are present and load their registered or local fonts
+        for (const entry of this.getScriptFontEntries(registry)) {
             if (entry.regex.test(text)) {
-                const font = await this._loadLocalFont(entry.fonts[0]);
-                if (font) fontMap.set(entry, font);
+                if (entry.registered) {
+                    const faces = await this.loadRegisteredFaces(entry.fonts[0], registry);
+                    if (!faces.length) continue;
+                    fontMap.set(entry, variants ? faces : this.matchFontFace(faces, DEFAULT_LOCAL_VARIANT).font);
+                } else if (variants) {
+                    const faces = await this.loadLocalFaces(entry.fonts[0], variants);
+                    if (faces.length) fontMap.set(entry, faces);
+                } else {
+                    const font = await this._loadLocalFont(entry.fonts[0]);
+                    if (font) fontMap.set(entry, font);
+                }
             }
         }
 
         return fontMap;
     }
 
+    /**
+     * Add bundled script fonts whose cmap covers some of the `uncovered`
+     * graphemes to `fontMap`, for characters the script regexes did not
+     * anticipate. Only fonts whose script `coverage` includes a grapheme are
+     * loaded to check. Returns the graphemes that are still not covered.
+     */
+    static async loadCoveringFonts(uncovered, variants, fontMap) {
+        let remaining = [...uncovered];
+        for (const entry of this.SCRIPT_FONTS) {
+            if (remaining.length === 0) break;
+            if (fontMap.has(entry) || !remaining.some(g => entry.coverage.test(g))) continue;
+            const faces = await this.loadLocalFaces(entry.fonts[0], variants);
+            if (!faces.length) continue;
+            const stillMissing = remaining.filter(g => !this.covers(faces[0].font, g));
+            if (stillMissing.length < remaining.length) {
+                fontMap.set(entry, faces);
+                remaining = stillMissing;
+            }
+        }
+        return remaining;
+    }
+
     /**
      * Get the harfbuzzjs instance (for shaping in text-processor)
      */
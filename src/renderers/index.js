@@ -2,5 +2,7 @@
  * Rendering modules for Universal SVG Renderer
  */
 export { FontLoader } from './font-loader.js';
-export { generateTextPaths, segmentGraphemes, isEmoji, loadEmojiSvg, applyRTLProcessing } from './text-processor.js';
+export { generateTextPaths, segmentGraphemes, isEmoji, hasEmojiPresentation, loadEmojiSvg, applyRTLProcessing } from './text-processor.js';
+export { createEmojiProvider, emojiKeys, emojiFallbacks, parseEmojiSvg } from './emoji-provider.js';
+export { createSymbolTable, fontKey } from './symbol-table.js';
 export { SVGRenderer } from './svg-renderer.js';
@@ -0,0 +1,61 @@
+/**
+ * Per-render symbol table: each unique glyph outline, color glyph or emoji
+ * artwork is defined once in <defs> and drawn with <use>, so output grows with
+ * the unique glyphs rather than with the characters.
+ */
+
+const fontIds = new WeakMap();
+let nextFontId = 0;
+
+/**
+ * Short identity of a font (or font instance) for symbol keys.
+ */
+export function fontKey(fontObj) {
+    if (!fontIds.has(fontObj)) fontIds.set(fontObj, nextFontId++);
+    return fontIds.get(fontObj);
+}
+
+/**
+ * Create a symbol table whose ids start with `idPrefix`, or with
+ * `${idPrefix}${n}-` for the first n that no id in `reservedIds` (the ids the
+ * document already uses) starts with.
+ * define(key, build) returns the id of the symbol for `key`, calling
+ * build(id) for its markup the first time; get(id) returns that markup and
+ * toDefs() all of them as one <defs> element ('' when empty). newId(base)
+ * returns the next free `${base}-${n}` id for other generated elements.
+ */
+export function createSymbolTable(idPrefix = 'glyph', reservedIds = []) {
+    const reserved = new Set(reservedIds);
+    let prefix = idPrefix;
+    for (let n = 1; [...reserved].some(id => id.startsWith(prefix)); n++) prefix = `${idPrefix}${n}-`;
+
+    const ids = new Map();
+    const definitions = new Map();
+    const counters = new Map();
+    return {
+        define(key, build) {
+            let id = ids.get(key);
+            if (id === undefined) {
+                id = `${prefix}${ids.size}`;
+                ids.set(key, id);
+                definitions.set(id, build(id));
+            }
+            return id;
+        },
+        newId(base) {
+            let id;
+            do {
+                const n = counters.get(base) ?? 0;
+                counters.set(base, n + 1);
+                id = `${base}-${n}`;
+            } while (reserved.has(id));
+            return id;
+        },
+        get(id) {
+            return definitions.get(id) ?? null;
+        },
+        toDefs() {
+            return definitions.size ? `<defs>${[...definitions.values()].join('')}</defs>` : '';
+        }
+    };
+}
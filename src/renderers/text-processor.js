@@ -2,82 +2,59 @@
  * Text processing and path generation (harfbuzzjs backend)
  */
 import { FontLoader } from './font-loader.js';
-import { readFileSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
-import { decompress } from '../utils/decompress.js';
+import { getLineBreaks } from '../utils/line-break.js';
+import { createPathSampler, flattenPath, transformPathData } from '../utils/path-geometry.js';
+import { renderColorGlyph, resolvePalette } from './color-glyphs.js';
+import { createSymbolTable, fontKey } from './symbol-table.js';
+import { createEmojiProvider, emojiFallbacks, emojiKeys, isTextPresentation, parseEmojiSvg } from './emoji-provider.js';
 import bidiFactory from 'bidi-js';
 
 const bidi = bidiFactory();
 
-const __dirname = join(fileURLToPath(import.meta.url), '..');
-const FONTS_DIR = join(__dirname, '../../fonts');
-
-let _emojiMap;
-let _emojiMapPromise;
-async function _getEmojiMap() {
-    if (_emojiMap) return _emojiMap;
-    if (_emojiMapPromise) return _emojiMapPromise;
-    _emojiMapPromise = (async () => {
-        const br = readFileSync(join(FONTS_DIR, 'twemoji.json.br'));
-        const raw = await decompress(br);
-        _emojiMap = JSON.parse(Buffer.from(raw).toString());
-        return _emojiMap;
-    })();
-    return _emojiMapPromise;
-}
-
 const GRAPHEME_SEGMENTER = new Intl.Segmenter('en', { granularity: 'grapheme' });
 
 export function segmentGraphemes(text) {
     return [...GRAPHEME_SEGMENTER.segment(text)].map(s => s.segment);
 }
 
+const KEYCAP_REGEX = /^[#*0-9]\uFE0F?\u20E3$/u;
+const EMOJI_REGEX = /^\p{Emoji}/u;
+const PICTOGRAPHIC_REGEX = /^[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+const PRESENTATION_REGEX = /^[\p{Emoji_Presentation}\p{Regional_Indicator}]/u;
+// Parts of emoji sequences: VS16, ZWJ, skin tone modifiers and tag characters
+const SEQUENCE_REGEX = /[\uFE0F\u200D\p{Emoji_Modifier}\u{E0020}-\u{E007F}]/u;
+
+/**
+ * Presentation of a grapheme by the Unicode emoji properties (UTS #51):
+ * 'emoji' for emoji presentation characters and emoji sequences (VS16,
+ * keycaps, flags, modifiers, ZWJ and tag sequences), 'text' for
+ * pictographs that default to text presentation (e.g. U+00A9, U+2194), and
+ * null for everything else, including anything with VS15 and bare digits.
+ */
+function emojiPresentation(grapheme) {
+    if (grapheme.includes('\uFE0E')) return null;
+    if (KEYCAP_REGEX.test(grapheme)) return 'emoji';
+    if (!EMOJI_REGEX.test(grapheme) || !PICTOGRAPHIC_REGEX.test(grapheme)) return null;
+    return PRESENTATION_REGEX.test(grapheme) || SEQUENCE_REGEX.test(grapheme) ? 'emoji' : 'text';
+}
+
+/**
+ * Whether a grapheme is an emoji (with emoji or text default presentation).
+ */
 export function isEmoji(grapheme) {
-    const cp = grapheme.codePointAt(0);
-    // Regional indicator symbols (flags)
-    if (cp >= 0x1F1E0 && cp <= 0x1F1FF) return true;
-    // Common emoji ranges (emoticons, symbols, etc.)
-    if (cp >= 0x1F000) return true;
-    // Dingbats, misc symbols
-    if (cp >= 0x2600 && cp <= 0x27BF) return true;
-    // Misc technical (hourglass, watch, etc.)
-    if (cp >= 0x2300 && cp <= 0x23FF) return true;
-    // Supplemental arrows, misc symbols (⭐, ⬛, etc.)
-    if (cp >= 0x2B00 && cp <= 0x2BFF) return true;
-    // Arrows, math operators with emoji presentation
-    if (cp >= 0x2190 && cp <= 0x21FF) return true;
-    // Enclosed alphanumerics (Ⓜ, etc.)
-    if (cp >= 0x24C2 && cp <= 0x24FF) return true;
-    // Geometric shapes (▪, ▫, etc.)
-    if (cp >= 0x25A0 && cp <= 0x25FF) return true;
-    // Keycap sequences: digit/# /asterisk + VS16 + U+20E3
-    if (grapheme.includes('\u20E3')) return true;
-    // copyright ©, registered ®, trademark ™ with VS16
-    if ((cp === 0x00A9 || cp === 0x00AE || cp === 0x2122) && grapheme.includes('\uFE0F')) return true;
-    return false;
-}
-
-export async function loadEmojiSvg(grapheme) {
-    // Build key with FE0F kept (jdecked/twemoji uses FE0F in filenames for ZWJ sequences)
-    const allCodepoints = [...grapheme]
-        .map(c => c.codePointAt(0))
-        .map(cp => cp.toString(16).toLowerCase());
-    const withFE0F = allCodepoints.join('-');
-    // Also build a fallback without FE0F for simple emoji
-    const withoutFE0F = [...grapheme]
-        .map(c => c.codePointAt(0))
-        .filter(cp => cp !== 0xFE0F)
-        .map(cp => cp.toString(16).toLowerCase())
-        .join('-');
-    try {
-        const map = await _getEmojiMap();
-        return map[withFE0F] || (withFE0F !== withoutFE0F ? map[withoutFE0F] : null) || null;
-    } catch {
-        return null;
-    }
+    return emojiPresentation(grapheme) !== null;
+}
+
+/**
+ * Whether a grapheme is presented as emoji by default, rather than with the
+ * text glyph of a font that has one.
+ */
+export function hasEmojiPresentation(grapheme) {
+    return emojiPresentation(grapheme) === 'emoji';
 }
 
+export { loadEmojiSvg } from './emoji-provider.js';
+
 function escapeXml(str) {
     return str
         .replace(/&/g, '&amp;')
@@ -124,61 +101,172 @@ export function applyRTLProcessing(text) {
     return processedChars;
 }
 
-function resolveInternationalFont(char, internationalFonts) {
-    if (!internationalFonts) return null;
-    if (!(internationalFonts instanceof Map)) return internationalFonts;
+/**
+ * Bundled fonts may be a single font or an array of { weight, style, font }
+ * faces; pick the face closest to the span's weight and style.
+ */
+function pickFace(fontOrFaces, style) {
+    if (!Array.isArray(fontOrFaces)) return fontOrFaces || null;
+    return FontLoader.matchFontFace(fontOrFaces, { weight: style?.fontWeight, style: style?.fontStyle })?.font || null;
+}
+
+/**
+ * The first available font of a font stack, else the first face of the
+ * fallback chain. Its metrics give the baselines of text in that style.
+ */
+function firstAvailableFont(stack, fallbackFont, style) {
+    const font = [].concat(stack ?? []).find(Boolean);
+    if (font) return font;
+    const fallbackChain = Array.isArray(fallbackFont) && fallbackFont.some(Array.isArray) ? fallbackFont : [fallbackFont];
+    return pickFace(fallbackChain[0], style);
+}
 
-    const scriptEntry = FontLoader.getScriptFont(char);
-    if (!scriptEntry) return null;
-    return internationalFonts.get(scriptEntry) || null;
+/**
+ * Split the loaded international fonts for a grapheme into the font of its
+ * detected script and every other loaded script font.
+ */
+function internationalCandidates(char, internationalFonts, style) {
+    if (!internationalFonts) return { script: [], others: [] };
+    if (!(internationalFonts instanceof Map)) return { script: [pickFace(internationalFonts, style)], others: [] };
+
+    // Entries are in priority order (see FontLoader.getScriptFontEntries)
+    const scriptEntry = [...internationalFonts.keys()].find(entry => entry.regex.test(char));
+    const script = [];
+    const others = [];
+    for (const [entry, fonts] of internationalFonts) {
+        (entry === scriptEntry ? script : others).push(pickFace(fonts, style));
+    }
+    return { script, others };
+}
+
+/**
+ * Artwork of an emoji from `provider`, parsed by parseEmojiSvg. Sequences
+ * the set does not have degrade to their base emoji (see emojiFallbacks).
+ */
+async function loadEmojiArtwork(grapheme, provider) {
+    for (const candidate of emojiFallbacks(grapheme)) {
+        const artwork = parseEmojiSvg(await provider(candidate).catch(() => null), `emoji-${emojiKeys(candidate)[0]}-`);
+        if (artwork) return artwork;
+    }
+    return null;
 }
 
 /**
- * Pre-fetch all emoji SVGs in parallel.
+ * Pre-fetch the artwork of all emoji in parallel from `provider` (see
+ * createEmojiProvider). Text-style emoji are left to fonts.
  */
-async function prefetchEmoji(chars) {
-    const emojiChars = chars.filter(c => c !== '\n' && c !== '\r' && isEmoji(c));
+async function prefetchEmoji(chars, provider, emojiStyle) {
+    const emojiChars = chars.filter(c => c !== '\n' && c !== '\r' && isEmoji(c) && !isTextPresentation(c, emojiStyle));
     if (emojiChars.length === 0) return new Map();
 
     const unique = [...new Set(emojiChars)];
-    const results = await Promise.all(unique.map(char => loadEmojiSvg(char)));
+    const results = await Promise.all(unique.map(char => loadEmojiArtwork(char, provider)));
     return new Map(unique.map((char, i) => [char, results[i]]));
 }
 
 /**
- * Split text into bidi direction runs using the Unicode Bidirectional Algorithm.
- * Returns array of { text, direction, start, end }.
+ * Resolve bidi embedding levels for a text element.
+ * `direction` ('ltr'|'rtl') is the paragraph direction; `unicodeBidi` of
+ * 'plaintext' detects it from the text instead, and 'bidi-override' /
+ * 'isolate-override' put every character at the paragraph level.
+ * Returns bidi-js embedding levels ({ levels, paragraphs }).
  */
-function getBidiRuns(text) {
-    const result = bidi.getEmbeddingLevels(text, 'ltr');
-    const levels = result.levels;
+function resolveEmbeddingLevels(text, direction = 'ltr', unicodeBidi = 'normal') {
+    if (unicodeBidi === 'bidi-override' || unicodeBidi === 'isolate-override') {
+        const level = direction === 'rtl' ? 1 : 0;
+        return { levels: new Uint8Array(text.length).fill(level), paragraphs: [{ start: 0, end: text.length - 1, level }] };
+    }
+    return bidi.getEmbeddingLevels(text, unicodeBidi === 'plaintext' ? undefined : direction);
+}
+
+function baseDirectionOf(embedding, fallback = 'ltr') {
+    const paragraph = embedding.paragraphs[0];
+    if (!paragraph) return fallback;
+    return paragraph.level % 2 === 1 ? 'rtl' : 'ltr';
+}
+
+/**
+ * Split the line text.slice(start, end) into directional runs in visual
+ * order (UBA rule L2, via bidi-js getReorderSegments).
+ * Returns [{ text, direction, start, end }] with logical offsets.
+ */
+function getVisualRuns(text, embedding, start, end) {
+    const { levels } = embedding;
+    const order = [];
+    for (let i = start; i < end; i++) order.push(i);
+    for (const [segStart, segEnd] of bidi.getReorderSegments(text, embedding, start, end - 1)) {
+        const reversed = order.slice(segStart - start, segEnd - start + 1).reverse();
+        order.splice(segStart - start, reversed.length, ...reversed);
+    }
+
+    // Group visually adjacent characters that are logically contiguous at the same level
     const runs = [];
-    let runStart = 0;
-
-    for (let i = 1; i <= text.length; i++) {
-        if (i === text.length || levels[i] !== levels[runStart]) {
-            const level = levels[runStart];
-            runs.push({
-                text: text.slice(runStart, i),
-                direction: level % 2 === 0 ? 'ltr' : 'rtl',
-                start: runStart,
-                end: i
-            });
-            runStart = i;
+    for (const i of order) {
+        const level = levels[i];
+        const last = runs[runs.length - 1];
+        if (last && last.level === level && (level % 2 === 1 ? i === last.start - 1 : i === last.end)) {
+            if (level % 2 === 1) last.start = i;
+            else last.end = i + 1;
+        } else {
+            runs.push({ start: i, end: i + 1, level });
         }
     }
-    return runs;
+    return runs.map(({ start: runStart, end: runEnd, level }) => ({
+        text: text.slice(runStart, runEnd),
+        direction: level % 2 === 1 ? 'rtl' : 'ltr',
+        start: runStart,
+        end: runEnd
+    }));
+}
+
+/**
+ * Split text into chunks laid out (and bidi-reordered) independently: lines
+ * separated by '\n', runs starting at a span with an absolute x or y, and
+ * the text of each <textPath>.
+ * Returns [{ start, end, newline }] where `newline` marks a chunk ended by '\n'.
+ */
+function getTextChunks(text, spans) {
+    const absoluteStarts = new Set(spans
+        .filter((span, i) => span.x != null || span.y != null || (i > 0 && span.textPath !== spans[i - 1].textPath))
+        .map(span => span.start));
+    const chunks = [];
+    let chunkStart = 0;
+    for (let i = 0; i <= text.length; i++) {
+        if (i === text.length || text[i] === '\n') {
+            chunks.push({ start: chunkStart, end: i, newline: i < text.length });
+            chunkStart = i + 1;
+        } else if (i > chunkStart && absoluteStarts.has(i)) {
+            chunks.push({ start: chunkStart, end: i, newline: false });
+            chunkStart = i;
+        }
+    }
+    return chunks;
 }
 
 /**
  * Segment text into runs by font (emoji, international, primary, fallback).
- * Each run is { type: 'emoji'|'text'|'fallback', chars: string, font: fontObj|null, graphemes: [] }
+ * Each run is { type: 'emoji'|'text'|'fallback', chars: string, font: fontObj|null, graphemes: [], primary: boolean, missing: boolean }
+ * with the parsed artwork (see parseEmojiSvg) as `emoji` on emoji runs.
+ * `primaryFont` is a font, a font stack (array, in font-family order) or a
+ * function (offset within the graphemes) => font or stack, so each span can use
+ * its own faces. `fallbackFont` is a font, faces array, or an array of those
+ * (the fallback chain). `styleAt` (offset => span) selects the weight/style of
+ * multi-face international and fallback fonts.
+ * Each grapheme takes the first font whose cmap covers it: the primary stack,
+ * then the font of its script, then the fallback chain, then any other loaded
+ * script font. Graphemes no font covers are put in `missing` runs of the first
+ * available font. Emoji use their artwork unless a color font of the
+ * primary stack has them, or, for emoji that default to text presentation,
+ * any candidate font (stack, script fonts or fallback chain).
  * When direction is 'rtl', neutral characters (spaces, punctuation) inherit the
  * font of the surrounding script run so HarfBuzz can shape the full RTL phrase.
  */
-function segmentByFont(graphemes, primaryFont, internationalFonts, fallbackFont, emojiCache, enableEmoji, direction) {
+function segmentByFont(graphemes, primaryFont, internationalFonts, fallbackFont, emojiCache, enableEmoji, direction, styleAt = () => null) {
     const runs = [];
     let currentRun = null;
+    const primaryStackAt = typeof primaryFont === 'function' ? primaryFont : () => primaryFont;
+    const fallbackChain = Array.isArray(fallbackFont) && fallbackFont.some(Array.isArray) ? fallbackFont : [fallbackFont];
+    let offset = 0;
 
     function pushRun() {
         if (currentRun && currentRun.chars.length > 0) {
@@ -188,29 +276,52 @@ function segmentByFont(graphemes, primaryFont, internationalFonts, fallbackFont,
     }
 
     for (const grapheme of graphemes) {
+        const graphemeOffset = offset;
+        offset += grapheme.length;
+
         if (grapheme === '\n' || grapheme === '\r') {
             pushRun();
             runs.push({ type: 'newline', chars: grapheme, font: null, graphemes: [grapheme] });
             continue;
         }
 
-        // Check for emoji
-        if (enableEmoji && isEmoji(grapheme) && emojiCache.has(grapheme) && emojiCache.get(grapheme)) {
+        const style = styleAt(graphemeOffset);
+        const stack = [].concat(primaryStackAt(graphemeOffset) ?? []).filter(Boolean);
+
+        // Determine which font to use: the first candidate with glyphs for the whole cluster
+        const international = internationalCandidates(grapheme, internationalFonts, style);
+        const candidates = [
+            ...stack,
+            ...international.script,
+            ...fallbackChain.map(f => pickFace(f, style)),
+            ...international.others
+        ].filter(Boolean);
+
+        // Emoji use their artwork unless a color font of the stack has them; text-default
+        // emoji (such as the copyright sign) keep the glyph of any font that covers them
+        const drawnByFont = () => (hasEmojiPresentation(grapheme)
+            ? stack.some(f => FontLoader.getColorFont(f) && FontLoader.covers(f, grapheme))
+            : candidates.some(f => FontLoader.covers(f, grapheme)));
+        if (enableEmoji && isEmoji(grapheme) && emojiCache.get(grapheme) && !drawnByFont()) {
             pushRun();
-            runs.push({ type: 'emoji', chars: grapheme, font: null, graphemes: [grapheme], emojiSvg: emojiCache.get(grapheme) });
+            runs.push({ type: 'emoji', chars: grapheme, font: null, graphemes: [grapheme], emoji: emojiCache.get(grapheme) });
             continue;
         }
 
-        // Determine which font to use
-        const scriptFont = resolveInternationalFont(grapheme, internationalFonts);
-        let font = scriptFont || primaryFont;
-        if (!font && fallbackFont) font = fallbackFont;
+        let font = candidates.find(f => FontLoader.covers(f, grapheme));
+        let missing = false;
 
         // In RTL bidi runs, neutral chars (spaces, punctuation) inherit the current
         // run's font so HarfBuzz shapes the full phrase with correct word reordering.
-        if (direction === 'rtl' && !scriptFont && currentRun && currentRun.type === 'text') {
+        if (direction === 'rtl' && currentRun && currentRun.type === 'text' && !currentRun.missing && font && !FontLoader.getScriptFont(grapheme)) {
             const isNeutral = /^[\s\d\p{P}\p{S}]*$/u.test(grapheme);
-            if (isNeutral) font = currentRun.font;
+            if (isNeutral && FontLoader.covers(currentRun.font, grapheme)) font = currentRun.font;
+        }
+
+        if (!font && candidates.length) {
+            // No font has glyphs for this cluster — keep it visible as .notdef
+            font = candidates[0];
+            missing = true;
         }
 
         if (!font) {
@@ -221,12 +332,12 @@ function segmentByFont(graphemes, primaryFont, internationalFonts, fallbackFont,
         }
 
         // Continue current text run if same font
-        if (currentRun && currentRun.type === 'text' && currentRun.font === font) {
+        if (currentRun && currentRun.type === 'text' && currentRun.font === font && currentRun.missing === missing) {
             currentRun.chars += grapheme;
             currentRun.graphemes.push(grapheme);
         } else {
             pushRun();
-            currentRun = { type: 'text', chars: grapheme, font, graphemes: [grapheme] };
+            currentRun = { type: 'text', chars: grapheme, font, graphemes: [grapheme], primary: stack.includes(font), missing };
         }
     }
 
@@ -234,121 +345,899 @@ function segmentByFont(graphemes, primaryFont, internationalFonts, fallbackFont,
     return runs;
 }
 
+// Clusters set upright in vertical text (roughly Vertical_Orientation U, Tu and Tr):
+// CJK scripts, symbols and punctuation, fullwidth forms and emoji. The rest is turned sideways.
+const UPRIGHT_REGEX = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Bopomofo}\p{Script=Yi}\p{Extended_Pictographic}\u1100-\u11FF\u2E80-\u2FFF\u3000-\u30FF\u3190-\u33FF\uA960-\uA97F\uF900-\uFAFF\uFE10-\uFE1F\uFE30-\uFE4F\uFF00-\uFFEF]/u;
+
+function isUpright(grapheme, textOrientation) {
+    if (textOrientation === 'upright') return true;
+    if (textOrientation === 'sideways') return false;
+    return UPRIGHT_REGEX.test(grapheme);
+}
+
+/**
+ * Split the text runs of a vertical line into upright and sideways runs
+ * (`sideways: true`) according to text-orientation (mixed, upright or sideways).
+ */
+function splitByOrientation(runs, textOrientation) {
+    const result = [];
+    for (const run of runs) {
+        if (run.type !== 'text') {
+            result.push(run);
+            continue;
+        }
+        let current = null;
+        for (const grapheme of run.graphemes) {
+            const sideways = !isUpright(grapheme, textOrientation);
+            if (current && current.sideways === sideways) {
+                current.chars += grapheme;
+                current.graphemes.push(grapheme);
+            } else {
+                current = { ...run, chars: grapheme, graphemes: [grapheme], sideways };
+                result.push(current);
+            }
+        }
+    }
+    return result;
+}
+
+// Scripts whose letters join: letter-spacing would break the connections
+const CURSIVE_SCRIPT_REGEX = /[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Nko}\p{Script=Mongolian}\p{Script=Mandaic}\p{Script=Adlam}\p{Script=Hanifi_Rohingya}\p{Script=Psalter_Pahlavi}\p{Script=Sogdian}\p{Script=Manichaean}\p{Script=Phags_Pa}]/u;
+// CSS word-separator characters, which get word-spacing
+const WORD_SEPARATOR_REGEX = /^[\u0020\u00A0\u1361\u{10100}\u{10101}\u{1039F}\u{1091F}]/u;
+// Optional ligatures are not applied to letter-spaced text (CSS Text 3)
+const NO_LIGATURES = '-liga,-clig,-dlig,-hlig';
+
 /**
- * Shape a text run with HarfBuzz and return SVG path fragments.
+ * Extra advance after a cluster starting with `char`: letter-spacing (except
+ * in cursive scripts), word-spacing on word separators, and `extra` (textLength).
  */
-function shapeAndRender(hb, fontObj, text, x, y, fontSize, fill, featureString, direction) {
+function clusterSpacing(char, { letterSpacing = 0, wordSpacing = 0, extra = 0 }) {
+    let spacing = extra;
+    if (letterSpacing && !CURSIVE_SCRIPT_REGEX.test(char)) spacing += letterSpacing;
+    if (wordSpacing && WORD_SEPARATOR_REGEX.test(char)) spacing += wordSpacing;
+    return spacing;
+}
+
+/**
+ * Shape a text run with HarfBuzz (see FontLoader.shapeText) and return SVG
+ * path fragments.
+ * When `item` is given, only text.slice(item.offset, item.offset + item.length)
+ * is rendered and the rest of `text` is used as shaping context, so joining and
+ * kerning stay intact across span boundaries.
+ * Glyph 0 (.notdef) is only drawn when `renderNotdef` is set.
+ * With direction 'ttb' glyphs are stacked downwards from (x, y) on their
+ * vertical origins, x being the center of the column. `spacing`
+ * ({ letterSpacing, wordSpacing, extra }) is added after each cluster.
+ * Returns { parts, advanceX, advanceY, clusters, ink } where `clusters` has a
+ * [cluster, advance, part] entry per glyph, with cluster offsets into `text`,
+ * advances along the shaping direction and the glyph's markup ('' if none),
+ * and `ink` the outlines of horizontal glyphs ({ box: [left, right, top,
+ * bottom], pathData, x, y, scale }) for decorations to skip.
+ * Glyphs with COLR, sbix or CBDT data are drawn in color (see
+ * renderColorGlyph), with the CPAL palette selected by `palette`
+ * ({ fontPalette, paletteValues, fontFamily }, see resolvePalette).
+ * With a symbol table (see createSymbolTable) each outline is defined once
+ * per font and size and drawn with <use>. Color glyph paint servers are
+ * named from `ids` (a symbol table).
+ */
+function shapeAndRender(fontObj, text, x, y, fontSize, fill, featureString, direction, item = null, renderNotdef = false, spacing = null, palette = null, symbols = null, ids = symbols) {
     const { hbFont, upem } = fontObj;
     const scale = fontSize / upem;
+    const colorFont = FontLoader.getColorFont(fontObj);
+    const colors = colorFont?.colr ? resolvePalette(colorFont, palette ?? {}) : null;
     const parts = [];
+    const clusters = [];
+    const ink = [];
+    const vertical = direction === 'ttb';
     let currentX = x;
+    let currentY = y;
 
-    const buffer = hb.createBuffer();
-    try {
-        buffer.addText(text);
-        buffer.guessSegmentProperties();
-        if (direction) buffer.setDirection(direction);
-
-        if (featureString) {
-            hb.shape(hbFont, buffer, featureString);
-        } else {
-            hb.shape(hbFont, buffer);
-        }
+    const glyphs = FontLoader.shapeText(fontObj, text, { item, features: featureString, direction });
+    for (const [i, glyph] of glyphs.entries()) {
+        const glyphId = glyph.g;
+        let xAdvance = glyph.ax * scale;
+        let yAdvance = -glyph.ay * scale;
+        const xOffset = glyph.dx * scale;
+        const yOffset = glyph.dy * scale;
 
-        const glyphs = buffer.json();
-
-        for (const glyph of glyphs) {
-            const glyphId = glyph.g;
-            const xAdvance = glyph.ax * scale;
-            const xOffset = glyph.dx * scale;
-            const yOffset = glyph.dy * scale;
-
-            if (glyphId !== 0) {
-                const pathData = hbFont.glyphToPath(glyphId);
-                if (pathData) {
-                    // font.glyphToPath returns path in font units, Y-up.
-                    // Apply transform: translate to position, scale to fontSize, flip Y.
-                    const gx = currentX + xOffset;
-                    const gy = y - yOffset;
-                    parts.push(`<path d="${pathData}" transform="translate(${gx},${gy}) scale(${scale},${-scale})" fill="${fill}" />`);
+        let part = '';
+        if (glyphId !== 0 || renderNotdef) {
+            // Vertical glyphs are placed by their vertical origin
+            const [originX, originY] = vertical ? FontLoader.getVerticalOrigin(fontObj, glyphId) : [0, 0];
+            const gx = currentX + xOffset - originX * scale;
+            const gy = currentY - yOffset + originY * scale;
+            const colorGlyph = colorFont && glyphId !== 0 ? renderColorGlyph(fontObj, glyphId, gx, gy, fontSize, fill, colors, symbols, ids) : null;
+            const pathData = colorGlyph ? null : FontLoader.getGlyphOutline(fontObj, glyphId);
+            if (colorGlyph) {
+                part = colorGlyph;
+                parts.push(part);
+            } else if (pathData) {
+                // Outlines are in font units, Y-up. Scale to fontSize and flip Y
+                // in the path data itself, so inherited stroke widths stay in
+                // user units.
+                if (symbols) {
+                    const id = symbols.define(`outline:${fontKey(fontObj)}:${glyphId}:${scale}`, id => `<path id="${id}" d="${FontLoader.getGlyphOutline(fontObj, glyphId, scale)}"/>`);
+                    part = `<use href="#${id}" transform="translate(${gx}, ${gy})" fill="${fill}"/>`;
+                } else {
+                    part = `<path d="${transformPathData(pathData, [scale, 0, 0, -scale, gx, gy])}" fill="${fill}" />`;
+                }
+                parts.push(part);
+                // Ink for skipping decorations; ideographs are not skipped
+                const extents = vertical || FontLoader.isCJK(text[glyph.cl]) ? null : hbFont.glyphExtents(glyphId);
+                if (extents?.width) {
+                    const left = gx + extents.xBearing * scale;
+                    const top = gy - extents.yBearing * scale;
+                    ink.push({ box: [left, left + extents.width * scale, top, top - extents.height * scale], pathData, x: gx, y: gy, scale });
                 }
             }
+        }
 
-            currentX += xAdvance;
+        // Spacing goes after the last glyph of each cluster
+        if (spacing && glyphs[i + 1]?.cl !== glyph.cl) {
+            const extra = clusterSpacing(String.fromCodePoint(text.codePointAt(glyph.cl)), spacing);
+            if (vertical) yAdvance += extra;
+            else xAdvance += extra;
         }
-    } finally {
-        buffer.destroy();
+
+        currentX += xAdvance;
+        currentY += yAdvance;
+        clusters.push([glyph.cl, vertical ? yAdvance : xAdvance, part]);
     }
 
-    return { parts, advanceX: currentX - x };
+    return { parts, advanceX: currentX - x, advanceY: currentY - y, clusters, ink };
 }
 
-export async function generateTextPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options = {}) {
-    const { enableEmoji = true, fontWeight = 700, featureString = '', textAnchor = 'start' } = options;
-    const hb = await FontLoader.getHb();
+/**
+ * Split a font run covering [runStart, runEnd) of the text into pieces that
+ * each fall inside a single styled span.
+ */
+function splitRunBySpans(runStart, runEnd, spans) {
+    const pieces = [];
+    for (const span of spans) {
+        const start = Math.max(runStart, span.start);
+        const end = Math.min(runEnd, span.end);
+        if (start < end) pieces.push({ start, end, span });
+    }
+    return pieces;
+}
+
+/**
+ * Map text-anchor to its physical side: start and end follow the direction.
+ */
+function physicalAnchor(textAnchor, direction) {
+    if (direction !== 'rtl') return textAnchor;
+    return { start: 'end', end: 'start' }[textAnchor] ?? textAnchor;
+}
+
+/**
+ * Wrap a text chunk in an inline offset according to a physical anchor
+ * (start = left edge at x, end = right edge at x; top and bottom at y when vertical).
+ */
+function anchorChunk(chunkParts, width, textAnchor, vertical = false) {
+    const content = chunkParts.join('');
+    if (textAnchor === 'start' || !content) return content;
+    const offset = textAnchor === 'middle' ? -width / 2 : -width;
+    return `<g transform="translate(${vertical ? `0, ${offset}` : `${offset}, 0`})">${content}</g>`;
+}
+
+function isVertical(writingMode) {
+    return writingMode === 'vertical-rl' || writingMode === 'vertical-lr';
+}
+
+const PATH_SAMPLERS = new WeakMap();
+
+/**
+ * Place clusters laid out on a straight baseline along a text path. Each
+ * cluster is rotated to the path tangent at the arc length of its midpoint
+ * (startOffset plus its distance from the chunk start, shifted by the
+ * anchor); clusters whose midpoint falls off the path are not rendered, as in
+ * SVG. side="right" follows the path backwards.
+ * Returns { content, end } where `end` is the point after the last cluster.
+ */
+function placeOnPath(clusters, chunkStart, baseline, width, textAnchor, textPath) {
+    let sampler = PATH_SAMPLERS.get(textPath);
+    if (!sampler) {
+        sampler = createPathSampler(textPath.d, textPath.matrix);
+        PATH_SAMPLERS.set(textPath, sampler);
+    }
+    const sample = (distance) => {
+        if (textPath.side !== 'right') return sampler.pointAt(distance);
+        const point = sampler.pointAt(sampler.length - distance);
+        return point && { ...point, angle: point.angle + 180 };
+    };
+    const startOffset = textPath.startOffsetPercent ? sampler.length * textPath.startOffset / 100 : textPath.startOffset;
+    const start = startOffset - (textAnchor === 'middle' ? width / 2 : textAnchor === 'end' ? width : 0);
+
     const parts = [];
+    for (const { x, advance, content } of clusters) {
+        if (!content) continue;
+        const mid = x + advance / 2;
+        const point = sample(start + mid - chunkStart);
+        if (!point) continue;
+        parts.push(`<g transform="translate(${point.x}, ${point.y}) rotate(${point.angle}) translate(${-mid}, ${-baseline})">${content}</g>`);
+    }
+    const end = sample(Math.min(Math.max(start + width, 0), sampler.length));
+    return { content: parts.join(''), end };
+}
+
+/**
+ * Offset (px, Y-up) of a baseline of `font` at `fontSize` from its
+ * alphabetic baseline. `baseline` is a FontLoader.getBaselines() key.
+ */
+function baselineOffset(font, baseline, fontSize) {
+    if (!font || !baseline) return 0;
+    return FontLoader.getBaselines(font)[baseline] * fontSize / font.upem;
+}
+
+/**
+ * Resolve a span's baseline-shift (px, Y-up): its lengths plus the
+ * superscript/subscript offsets of `font` for each super/sub shift.
+ */
+function resolveBaselineShift(span, font) {
+    let shift = span.baselineShift || 0;
+    for (const { position, fontSize } of span.scriptShifts ?? []) {
+        shift += font
+            ? baselineOffset(font, position === 'super' ? 'superscript' : 'subscript', fontSize)
+            : (position === 'super' ? 0.33 : -0.2) * fontSize;
+    }
+    return shift;
+}
+
+/**
+ * Height of an emoji's em box above the baseline: the box takes the place of
+ * the font's ascender-descender box, scaled to one em.
+ */
+function emojiAscent(font, fontSize) {
+    if (!font) return fontSize * 0.8;
+    const { ascender, descender } = FontLoader.getFontExtents(font);
+    return ascender / (ascender - descender) * fontSize;
+}
+
+/**
+ * Horizontal extent [left, right] of a glyph outline (see shapeAndRender's
+ * `ink`) inside the band [top, bottom], or null when it does not reach it.
+ */
+function inkIntercept({ pathData, x, y, scale }, top, bottom) {
+    let left = Infinity;
+    let right = -Infinity;
+    for (const points of flattenPath(pathData)) {
+        for (let i = 1; i < points.length; i++) {
+            const ax = x + points[i - 1][0] * scale;
+            const ay = y - points[i - 1][1] * scale;
+            const bx = x + points[i][0] * scale;
+            const by = y - points[i][1] * scale;
+            // Clip the segment to the band
+            let t0 = 0;
+            let t1 = 1;
+            if (ay === by) {
+                if (ay < top || ay > bottom) continue;
+            } else {
+                const ta = (top - ay) / (by - ay);
+                const tb = (bottom - ay) / (by - ay);
+                t0 = Math.max(0, Math.min(ta, tb));
+                t1 = Math.min(1, Math.max(ta, tb));
+                if (t0 > t1) continue;
+            }
+            for (const t of [t0, t1]) {
+                const px = ax + (bx - ax) * t;
+                left = Math.min(left, px);
+                right = Math.max(right, px);
+            }
+        }
+    }
+    return left <= right ? [left, right] : null;
+}
+
+/**
+ * Cut the parts of [x0, x1] where glyph outlines cross the band
+ * [top, bottom], leaving a gap of `gap` around the ink.
+ */
+function skipInk(x0, x1, top, bottom, ink, gap) {
+    const cuts = ink
+        .filter(({ box }) => box[2] < bottom + gap && box[3] > top - gap)
+        .map(glyph => inkIntercept(glyph, top - gap, bottom + gap))
+        .filter(Boolean)
+        .map(([left, right]) => [left - gap, right + gap])
+        .sort((a, b) => a[0] - b[0]);
+    const pieces = [];
+    let start = x0;
+    for (const [left, right] of cuts) {
+        if (left > start) pieces.push([start, Math.min(left, x1)]);
+        start = Math.max(start, right);
+        if (start >= x1) break;
+    }
+    if (start < x1) pieces.push([start, x1]);
+    return pieces.filter(([a, b]) => b - a > gap);
+}
+
+/**
+ * Render the text decorations of a chunk ({ line, color, x0, x1, top,
+ * height, ink } per laid-out piece) as rectangles. Adjacent pieces with the
+ * same line, color and position are joined; underlines and overlines skip
+ * glyph ink. Returns { under, over }: lines painted below and above the text.
+ */
+function renderDecorations(decorations) {
+    const joined = [];
+    for (const decoration of decorations) {
+        const previous = joined.findLast(d => d.line === decoration.line && d.color === decoration.color);
+        if (previous && Math.abs(previous.x1 - decoration.x0) < 0.01 && Math.abs(previous.top - decoration.top) < 0.01 && Math.abs(previous.height - decoration.height) < 0.01) {
+            previous.x1 = decoration.x1;
+            previous.ink = previous.ink.concat(decoration.ink);
+        } else {
+            joined.push({ ...decoration });
+        }
+    }
+
+    const under = [];
+    const over = [];
+    for (const { line, color, x0, x1, top, height, ink } of joined) {
+        const pieces = line === 'line-through' ? [[x0, x1]] : skipInk(x0, x1, top, top + height, ink, height);
+        for (const [left, right] of pieces) {
+            (line === 'line-through' ? over : under).push(`<rect x="${left}" y="${top}" width="${right - left}" height="${height}" fill="${color}" />`);
+        }
+    }
+    return { under, over };
+}
+
+function defaultSpans(text, fill, fontSize, options) {
+    const { fontWeight = 700, fontStyle } = options;
+    return [{ start: 0, end: text.length, text, fill, fontSize, fontWeight, fontStyle, baselineShift: 0, x: null, y: null, dx: null, dy: null }];
+}
+
+/**
+ * Lay out text on a single line (plus literal newlines and absolute positions).
+ * With `options.writingMode` 'vertical-rl' or 'vertical-lr' the line runs
+ * down the column centered on x: CJK clusters stay upright and are shaped
+ * top-to-bottom with vert/vrt2, other text is shaped horizontally and turned
+ * sideways, and newlines start the next column to the left (or right).
+ * Text in spans with a `textPath` is laid out along that path (placeOnPath)
+ * and the text after it continues from the path's end point.
+ * In horizontal text `options.dominantBaseline` of the primary font is placed
+ * at y, and each font run aligns its span's alignment baseline to the same
+ * baseline of the primary font (CSS baseline alignment, one level deep).
+ * Span `decorations` are drawn from the metrics of the span's first
+ * available font, in horizontal text off text paths.
+ * Emoji artwork comes from `options.emojiProvider` (see createEmojiProvider);
+ * emoji with VS15, or all of them with `options.emojiStyle` 'text', are
+ * drawn through fonts like other text.
+ * Glyph outlines, color glyphs and emoji artwork are defined once in
+ * `options.symbols` (see createSymbolTable) and drawn with <use>, when given.
+ * Returns { content, advances } where advances[i] is the inline advance of
+ * the cluster starting at UTF-16 offset i.
+ */
+async function layoutText(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options = {}) {
+    const { enableEmoji = true, featureString = '', textAnchor = 'start' } = options;
+    const spans = options.spans?.length ? options.spans : defaultSpans(text, fill, fontSize, options);
+    const advances = new Float64Array(text.length);
+    // Font stack per span (font-family, weight and style matching), if a resolver is given
+    const spanPrimaryFonts = spans.map(span => (options.resolvePrimaryFont ? options.resolvePrimaryFont(span) : primaryFont));
+    // Shaping (FontLoader.shapeText) needs the HarfBuzz module initialized
+    await FontLoader.getHb();
+    // Without a symbol table, generated ids are still unique within the text
+    const ids = options.symbols ?? createSymbolTable();
+    const chunks = [];
+    let chunkParts = [];
     let currentX = x;
     let currentY = y;
-    const lineHeight = fontSize * 1.2;
+    const vertical = isVertical(options.writingMode);
+    const inlinePosition = () => (vertical ? currentY : currentX);
+    const advanceInline = (advance) => {
+        if (vertical) currentY += advance;
+        else currentX += advance;
+    };
+    let chunkStart = inlinePosition();
+    // Chunks on a text path collect clusters ({ x, advance, content }) to place along it
+    let chunkPath = null;
+    let chunkBaseline = y;
+    let pathClusters = [];
+    // Decoration extents of the current chunk (see renderDecorations)
+    let chunkDecorations = [];
+
+    // Paragraph direction from direction / unicode-bidi; text-anchor follows it
+    const embedding = resolveEmbeddingLevels(text, options.direction, options.unicodeBidi);
+    const baseDirection = baseDirectionOf(embedding, options.direction);
+    const anchor = physicalAnchor(textAnchor, baseDirection);
+
+    // Offset of the alphabetic baseline from y, for the dominant baseline at y
+    const dominantBaseline = options.dominantBaseline ?? 'alphabetic';
+    const textFont = firstAvailableFont(primaryFont, fallbackFont, options);
+    const spanFonts = spans.map((span, i) => firstAvailableFont(spanPrimaryFonts[i], fallbackFont, span));
+    const dominantOffset = baselineOffset(textFont, dominantBaseline, fontSize);
+
+    // Text chunks (started by a newline or an absolute x) are anchored independently
+    function closeChunk() {
+        if (chunkPath && pathClusters.length) {
+            // Text on a path follows the <textPath>'s own (computed) text-anchor
+            const pathAnchor = chunkPath.textAnchor ? physicalAnchor(chunkPath.textAnchor, baseDirection) : anchor;
+            const placed = placeOnPath(pathClusters, chunkStart, chunkBaseline, currentX - chunkStart, pathAnchor, chunkPath);
+            chunks.push(placed.content);
+            pathClusters = [];
+            if (placed.end) {
+                currentX = placed.end.x;
+                currentY = placed.end.y;
+            }
+        } else {
+            // textLength spacing follows every cluster but the chunk's last
+            const trailing = chunkParts.length ? options.clusterSpacing ?? 0 : 0;
+            const { under, over } = renderDecorations(chunkDecorations);
+            chunks.push(anchorChunk([...under, ...chunkParts, ...over], inlinePosition() - chunkStart - trailing, anchor, vertical));
+        }
+        chunkParts = [];
+        chunkDecorations = [];
+        chunkStart = inlinePosition();
+    }
 
-    // Step 1: Run Unicode Bidirectional Algorithm on the full text
-    const bidiRuns = getBidiRuns(text);
+    // Record the decorations of a span's text laid out from x0 to x1
+    function decorate(span, font, x0, x1, baselineY, ink = []) {
+        if (vertical || chunkPath || !font || !span.decorations?.length || x1 <= x0) return;
+        const metrics = FontLoader.getDecorationMetrics(font);
+        const scale = span.fontSize / font.upem;
+        for (const { line, color } of span.decorations) {
+            if (!color || color === 'none') continue;
+            const [position, thickness] = metrics[line];
+            chunkDecorations.push({ line, color, x0, x1, top: baselineY - position * scale, height: thickness * scale, ink });
+        }
+    }
+
+    // Collect a cluster's markup for the current chunk
+    function addCluster(x, advance, content) {
+        if (chunkPath) pathClusters.push({ x, advance, content });
+        else chunkParts.push(content);
+    }
 
     // Batch-fetch all emoji SVGs upfront
     const allGraphemes = segmentGraphemes(text);
-    const emojiCache = enableEmoji ? await prefetchEmoji(allGraphemes) : new Map();
+    const emojiCache = enableEmoji ? await prefetchEmoji(allGraphemes, createEmojiProvider(options.emojiProvider), options.emojiStyle) : new Map();
 
-    // Step 2: Process each bidi direction run
-    for (const bidiRun of bidiRuns) {
-        const graphemes = segmentGraphemes(bidiRun.text);
+    for (const chunk of getTextChunks(text, spans)) {
+        const textPath = chunk.start < chunk.end ? spans.find(span => chunk.start < span.end)?.textPath ?? null : chunkPath;
+        if (textPath !== chunkPath) {
+            closeChunk();
+            chunkPath = textPath;
+        }
+        const absolute = spans.find(span => span.start === chunk.start && (span.x != null || span.y != null));
+        if (absolute && !chunkPath) {
+            closeChunk();
+            if (absolute.x != null) currentX = absolute.x;
+            if (absolute.y != null) currentY = absolute.y;
+            chunkStart = inlinePosition();
+        }
+        chunkBaseline = currentY;
 
-        // Step 3: Segment by font within this bidi run (neutral chars inherit font in RTL runs)
-        const runs = segmentByFont(graphemes, primaryFont, internationalFonts, fallbackFont, emojiCache, enableEmoji, bidiRun.direction);
+        // Step 1: Lay out the chunk's bidi runs in visual order
+        for (const bidiRun of getVisualRuns(text, embedding, chunk.start, chunk.end)) {
+            const graphemes = segmentGraphemes(bidiRun.text);
 
-        for (const run of runs) {
-            if (run.type === 'newline') {
-                if (run.chars === '\n') {
-                    currentX = x;
-                    currentY += lineHeight;
-                }
-                continue;
-            }
+            // Step 2: Segment by font within this bidi run (neutral chars inherit font in RTL runs)
+            const spanIndexAt = offset => spans.findIndex(span => bidiRun.start + offset < span.end);
+            const primaryFontAt = offset => spanPrimaryFonts[spanIndexAt(offset)] ?? primaryFont;
+            const styleAt = offset => spans[spanIndexAt(offset)] ?? spans[spans.length - 1];
+            const fontRuns = segmentByFont(graphemes, primaryFontAt, internationalFonts, fallbackFont, emojiCache, enableEmoji, bidiRun.direction, styleAt);
+            const runs = vertical ? splitByOrientation(fontRuns, options.textOrientation) : fontRuns;
+
+            // Font runs of an RTL bidi run are laid out right-to-left too
+            let offset = bidiRun.start;
+            const placedRuns = runs.map(run => {
+                const runStart = offset;
+                offset += run.chars.length;
+                return { run, runStart, runEnd: offset };
+            });
+            if (bidiRun.direction === 'rtl') placedRuns.reverse();
+
+            // Step 3: Split font runs at span boundaries and render each piece with its span's style
+            for (const { run, runStart, runEnd } of placedRuns) {
+                const pieces = splitRunBySpans(runStart, runEnd, spans);
+                if (bidiRun.direction === 'rtl') pieces.reverse();
+
+                for (const piece of pieces) {
+                    const { span } = piece;
+                    if (piece.start === span.start) {
+                        if (span.dx != null) currentX += span.dx;
+                        if (span.dy != null) currentY += span.dy;
+                    }
+                    const pieceText = text.slice(piece.start, piece.end);
+                    // Baselines come from the run's font (the span's primary font for emoji and fallbacks)
+                    const spanFont = spanFonts[spans.indexOf(span)];
+                    const metricsFont = run.type === 'text' ? run.font : spanFont;
+                    const alignment = span.alignmentBaseline ?? dominantBaseline;
+                    const baselineShift = resolveBaselineShift(span, metricsFont) + (vertical ? 0
+                        : baselineOffset(textFont, alignment, fontSize) - baselineOffset(metricsFont, alignment, span.fontSize) - dominantOffset);
+                    const baselineY = currentY - baselineShift;
+                    const spacing = { letterSpacing: span.letterSpacing, wordSpacing: span.wordSpacing, extra: options.clusterSpacing };
+                    const palette = { fontPalette: span.fontPalette, paletteValues: options.fontPaletteValues, fontFamily: span.fontFamily };
+
+                    // Only a lone '\r' gets here; '\n' ends the chunk
+                    if (run.type === 'newline') continue;
+
+                    if (run.type === 'emoji') {
+                        // Artwork is scaled from its viewBox to the font size in height
+                        const { content, viewBox: [minX, minY, boxWidth, boxHeight], attributes } = run.emoji;
+                        const scale = span.fontSize / boxHeight;
+                        const width = boxWidth * scale;
+                        // Upright in vertical text, centered on the column
+                        const [emojiX, emojiY] = vertical
+                            ? [currentX + baselineShift - width / 2, currentY]
+                            : [currentX, baselineY - emojiAscent(spanFont, span.fontSize)];
+                        const advance = (vertical ? span.fontSize : width) + clusterSpacing(pieceText, spacing);
+                        const transform = `translate(${emojiX}, ${emojiY}) scale(${scale})${minX || minY ? ` translate(${-minX}, ${-minY})` : ''}`;
+                        // Color glyphs are not stroked with the text
+                        if (options.symbols) {
+                            const id = options.symbols.define(`emoji:${run.chars}`, id => `<g id="${id}"${attributes}>${content}</g>`);
+                            addCluster(currentX, advance, `<use href="#${id}" transform="${transform}" stroke="none"/>`);
+                        } else {
+                            const artwork = attributes ? `<g${attributes}>${content}</g>` : content;
+                            addCluster(currentX, advance, `<g transform="${transform}" stroke="none">${artwork}</g>`);
+                        }
+                        decorate(span, spanFont, currentX, currentX + advance, baselineY);
+                        advanceInline(advance);
+                        advances[piece.start] += advance;
+                        continue;
+                    }
+
+                    if (run.type === 'fallback') {
+                        const fontFamilyAttr = FontLoader.getFontFamilyCSS(pieceText);
+                        const position = vertical ? `x="${currentX + baselineShift}" y="${currentY}" writing-mode="tb"` : `x="${currentX}" y="${baselineY}"`;
+                        const advance = (FontLoader.isCJK(pieceText) ? span.fontSize : span.fontSize * 0.6) + clusterSpacing(pieceText, spacing);
+                        decorate(span, spanFont, currentX, currentX + advance, baselineY);
+                        addCluster(currentX, advance, `<text ${position} font-family="${fontFamilyAttr}" font-size="${span.fontSize}" fill="${span.fill}" font-weight="${span.fontWeight}">${escapeXml(pieceText)}</text>`);
+                        advanceInline(advance);
+                        advances[piece.start] += advance;
+                        continue;
+                    }
 
-            if (run.type === 'emoji') {
-                const emojiContent = run.emojiSvg.match(/<svg[^>]*>(.*)<\/svg>/s)?.[1];
-                if (emojiContent) {
-                    const emojiY = currentY - fontSize * 0.75;
-                    parts.push(`<g transform="translate(${currentX}, ${emojiY}) scale(${fontSize/36})">${emojiContent}</g>`);
-                    currentX += fontSize;
+                    if (run.type === 'text') {
+                        // Shape with HarfBuzz — pass bidi direction explicitly, with the
+                        // whole font run as context so shaping continues across spans.
+                        // HarfBuzz mirrors brackets (Bidi_Mirroring_Glyph) in RTL runs.
+                        // Letter-spaced text drops optional ligatures unless font-feature-settings asks for them
+                        const letterSpaced = span.letterSpacing && !CURSIVE_SCRIPT_REGEX.test(run.chars);
+                        const features = [letterSpaced ? NO_LIGATURES : '', run.primary ? featureString : ''].filter(Boolean).join(',');
+                        const item = { offset: piece.start - runStart, length: piece.end - piece.start };
+                        // Variable fonts are instanced at the span's weight, stretch, style and size
+                        const font = FontLoader.getFontInstance(run.font, FontLoader.resolveVariations(run.font, span));
+                        // Clusters no font covers are drawn as .notdef boxes and reported
+                        if (run.missing && options.onMissingGlyph) {
+                            for (const cluster of segmentGraphemes(pieceText)) options.onMissingGlyph(cluster);
+                        }
+                        if (vertical && run.sideways) {
+                            // Shaped horizontally, then turned 90deg clockwise about the
+                            // column's central baseline (halfway between ascender and descender)
+                            const { ascender, descender } = FontLoader.getFontExtents(font);
+                            const central = (ascender + descender) / 2 * span.fontSize / font.upem;
+                            const { parts: shapedParts, advanceX, clusters } = shapeAndRender(
+                                font, run.chars, 0, central - baselineShift, span.fontSize, span.fill, features, bidiRun.direction, item, run.missing, spacing, palette, options.symbols, ids
+                            );
+                            chunkParts.push(`<g transform="translate(${currentX}, ${currentY}) rotate(90)">${shapedParts.join('')}</g>`);
+                            currentY += advanceX;
+                            for (const [cluster, advance] of clusters) advances[runStart + cluster] += advance;
+                            continue;
+                        }
+                        const { parts: shapedParts, advanceX, advanceY, clusters, ink } = vertical
+                            ? shapeAndRender(font, run.chars, currentX + baselineShift, currentY, span.fontSize, span.fill, [features, 'vert', 'vrt2'].filter(Boolean).join(','), 'ttb', item, run.missing, spacing, palette, options.symbols, ids)
+                            : shapeAndRender(font, run.chars, currentX, baselineY, span.fontSize, span.fill, features, bidiRun.direction, item, run.missing, spacing, palette, options.symbols, ids);
+                        if (chunkPath) {
+                            // Glyphs of one cluster move along the path together
+                            let clusterX = currentX;
+                            let group = null;
+                            for (const [cluster, advance, part] of clusters) {
+                                if (!group || group.cluster !== cluster) {
+                                    group = { cluster, x: clusterX, advance: 0, content: '' };
+                                    pathClusters.push(group);
+                                }
+                                group.advance += advance;
+                                group.content += part;
+                                clusterX += advance;
+                            }
+                        } else {
+                            chunkParts.push(...shapedParts);
+                        }
+                        decorate(span, spanFont, currentX, currentX + advanceX, baselineY, ink);
+                        currentX += advanceX;
+                        currentY += advanceY;
+                        for (const [cluster, advance] of clusters) advances[runStart + cluster] += advance;
+                        continue;
+                    }
                 }
-                continue;
             }
+        }
 
-            if (run.type === 'fallback') {
-                const char = run.chars;
-                const fontFamilyAttr = FontLoader.getFontFamilyCSS(char);
-                parts.push(`<text x="${currentX}" y="${currentY}" font-family="${fontFamilyAttr}" font-size="${fontSize}" fill="${fill}" font-weight="${fontWeight}">${escapeXml(char)}</text>`);
-                currentX += FontLoader.isCJK(char) ? fontSize : fontSize * 0.6;
-                continue;
+        if (chunk.newline) {
+            const span = spans.find(s => chunk.end < s.end) ?? spans[spans.length - 1];
+            closeChunk();
+            const lineHeight = span.lineHeight ?? span.fontSize * 1.2;
+            if (vertical) {
+                currentY = y;
+                currentX += options.writingMode === 'vertical-lr' ? lineHeight : -lineHeight;
+            } else {
+                currentX = x;
+                currentY += lineHeight;
             }
+            chunkStart = inlinePosition();
+        }
+    }
+
+    closeChunk();
+    return { content: chunks.join(''), advances };
+}
+
+// Whitespace that hangs at the end of a wrapped line (no-break spaces excluded)
+const HANGING_SPACE_REGEX = /[\t\n\v\f\r \u1680\u2000-\u2006\u2008-\u200A\u2028\u2029\u205F\u3000]/;
+
+function trimLineEnd(text, start, end) {
+    while (end > start && HANGING_SPACE_REGEX.test(text[end - 1])) end--;
+    return end;
+}
+
+/**
+ * Greedily break `text` into lines no wider than `maxWidth` using the cluster
+ * advances of a single-line layout. Words wider than the box are broken
+ * between grapheme clusters. Returns [{ start, end }] with hanging
+ * whitespace excluded.
+ */
+function breakLines(text, advances, maxWidth) {
+    const width = (start, end) => {
+        let w = 0;
+        for (let i = start; i < end; i++) w += advances[i];
+        return w;
+    };
+    const lines = [];
+    let lineStart = 0;
+    let lineWidth = 0;
+
+    const segments = [];
+    let prev = 0;
+    for (const { index, mandatory } of getLineBreaks(text)) {
+        segments.push({ start: prev, end: index, mandatory });
+        prev = index;
+    }
+    segments.push({ start: prev, end: text.length, mandatory: true });
+
+    for (const segment of segments) {
+        const visibleEnd = trimLineEnd(text, segment.start, segment.end);
+        if (segment.start > lineStart && lineWidth + width(segment.start, visibleEnd) > maxWidth) {
+            lines.push({ start: lineStart, end: trimLineEnd(text, lineStart, segment.start) });
+            lineStart = segment.start;
+            lineWidth = 0;
+        }
 
-            if (run.type === 'text') {
-                // Shape with HarfBuzz — pass bidi direction explicitly
-                const features = (run.font === primaryFont) ? featureString : '';
-                const { parts: shapedParts, advanceX } = shapeAndRender(
-                    hb, run.font, run.chars, currentX, currentY, fontSize, fill, features, bidiRun.direction
-                );
-                parts.push(...shapedParts);
-                currentX += advanceX;
-                continue;
+        // A segment that overflows an empty line is broken between clusters
+        if (lineStart === segment.start && width(segment.start, visibleEnd) > maxWidth) {
+            let index = segment.start;
+            for (const grapheme of segmentGraphemes(text.slice(segment.start, visibleEnd))) {
+                const clusterWidth = width(index, index + grapheme.length);
+                if (index > lineStart && lineWidth + clusterWidth > maxWidth) {
+                    lines.push({ start: lineStart, end: index });
+                    lineStart = index;
+                    lineWidth = 0;
+                }
+                lineWidth += clusterWidth;
+                index += grapheme.length;
             }
+            lineWidth += width(visibleEnd, segment.end);
+        } else {
+            lineWidth += width(segment.start, segment.end);
+        }
+
+        if (segment.mandatory) {
+            lines.push({ start: lineStart, end: trimLineEnd(text, lineStart, segment.end) });
+            lineStart = segment.end;
+            lineWidth = 0;
+        }
+    }
+    return lines;
+}
+
+/**
+ * Spans restricted to [start, end) of the text, re-based to offset 0.
+ */
+function sliceSpans(spans, text, start, end) {
+    const sliced = [];
+    for (const span of spans) {
+        const s = Math.max(start, span.start);
+        const e = Math.min(end, span.end);
+        if (s < e) sliced.push({ ...span, start: s - start, end: e - start, text: text.slice(s, e) });
+    }
+    return sliced;
+}
+
+const TEXT_ALIGN_ANCHORS = { left: 'start', start: 'start', justify: 'start', center: 'middle', right: 'end', end: 'end' };
+// left and right are physical, so they swap relative to start/end in RTL text
+const RTL_TEXT_ALIGN_ANCHORS = { ...TEXT_ALIGN_ANCHORS, left: 'end', right: 'start' };
+
+/**
+ * Lay out text wrapped to `options.maxWidth` (an SVG 2 inline-size text box).
+ * As in SVG 2, positioning attributes of child spans are ignored; lines are
+ * aligned on `x` by text-align (justify is laid out as start), or else by
+ * text-anchor, and advance by the largest line-height on each line (columns
+ * move left in vertical-rl, right in vertical-lr). Each line is reordered on
+ * its own, in the paragraph direction of the whole text.
+ */
+async function wrapTextPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options) {
+    const spans = (options.spans?.length ? options.spans : defaultSpans(text, fill, fontSize, options))
+        .map(span => ({ ...span, x: null, y: null, dx: null, dy: null }));
+    const direction = baseDirectionOf(resolveEmbeddingLevels(text, options.direction, options.unicodeBidi), options.direction);
+    const anchors = direction === 'rtl' ? RTL_TEXT_ALIGN_ANCHORS : TEXT_ALIGN_ANCHORS;
+    const textAnchor = anchors[options.textAlign] ?? options.textAnchor ?? 'start';
+    const unicodeBidi = options.unicodeBidi === 'plaintext' ? 'normal' : options.unicodeBidi;
+    const fonts = [primaryFont, internationalFonts, fallbackFont];
+
+    // Measure the text as one line, then lay out each wrapped line on its own
+    const { advances } = await layoutText(text, x, y, fontSize, fill, ...fonts, { ...options, spans, symbols: null });
+    const lines = breakLines(text, advances, options.maxWidth);
+
+    const contents = [];
+    const vertical = isVertical(options.writingMode);
+    const progression = options.writingMode === 'vertical-rl' ? -1 : 1;
+    let linePosition = vertical ? x : y;
+    for (const [i, line] of lines.entries()) {
+        const lineSpans = sliceSpans(spans, text, line.start, line.end);
+        if (i > 0) {
+            const heights = lineSpans.map(span => span.lineHeight ?? span.fontSize * 1.2);
+            linePosition += progression * (heights.length ? Math.max(...heights) : (options.lineHeight ?? fontSize * 1.2));
+        }
+        if (lineSpans.length === 0) continue;
+        const lineText = text.slice(line.start, line.end);
+        const [lineX, lineY] = vertical ? [linePosition, y] : [x, linePosition];
+        const { content } = await layoutText(lineText, lineX, lineY, fontSize, fill, ...fonts, { ...options, spans: lineSpans, textAnchor, direction, unicodeBidi });
+        contents.push(content);
+    }
+    return contents.join('');
+}
+
+/**
+ * Widest line of a layout, from its cluster advances (lines split at '\n').
+ */
+function measureWidth(text, advances) {
+    let widest = 0;
+    let width = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            widest = Math.max(widest, width);
+            width = 0;
+        } else {
+            width += advances[i];
+        }
+    }
+    return Math.max(widest, width);
+}
+
+function scaleSpans(spans, factor) {
+    return spans.map(span => ({
+        ...span,
+        fontSize: span.fontSize * factor,
+        lineHeight: span.lineHeight != null ? span.lineHeight * factor : span.lineHeight,
+        baselineShift: (span.baselineShift || 0) * factor,
+        scriptShifts: span.scriptShifts?.map(shift => ({ ...shift, fontSize: shift.fontSize * factor })),
+        letterSpacing: (span.letterSpacing || 0) * factor,
+        wordSpacing: (span.wordSpacing || 0) * factor,
+        dx: span.dx != null ? span.dx * factor : span.dx,
+        dy: span.dy != null ? span.dy * factor : span.dy
+    }));
+}
+
+const ELLIPSIS = '\u2026';
+const DEFAULT_MIN_FONT_SIZE = 8;
+const MAX_FIT_PASSES = 4;
+
+/**
+ * Truncate text at a grapheme boundary so it fits `width` with a trailing
+ * ellipsis, shaped in the style of the span it ends. An ellipsis ending an RTL
+ * run is followed by a right-to-left mark so it stays on the RTL side.
+ * `measure(text, spans)` returns the cluster advances of a layout and
+ * `levels` the bidi embedding levels of the text.
+ */
+async function ellipsize(text, spans, width, measure, levels) {
+    const advances = await measure(text, spans);
+    if (measureWidth(text, advances) <= width) return { text, spans };
+
+    const truncate = (end) => {
+        const mark = levels[end - 1] % 2 === 1 ? '\u200F' : '';
+        const truncatedSpans = sliceSpans(spans, text, 0, end);
+        const last = truncatedSpans[truncatedSpans.length - 1];
+        last.text += ELLIPSIS + mark;
+        last.end += ELLIPSIS.length + mark.length;
+        return { text: text.slice(0, end) + ELLIPSIS + mark, spans: truncatedSpans };
+    };
+
+    // Grapheme boundaries with the width of the text before them
+    const boundaries = [];
+    let offset = 0;
+    let prefixWidth = 0;
+    for (const grapheme of segmentGraphemes(text)) {
+        for (let i = offset; i < offset + grapheme.length; i++) prefixWidth += advances[i];
+        offset += grapheme.length;
+        boundaries.push({ end: offset, width: prefixWidth });
+    }
+
+    // Start from the estimate given by the single-line advances, then verify by shaping
+    const lastSpan = spans[spans.length - 1];
+    const ellipsisWidth = measureWidth(ELLIPSIS, await measure(ELLIPSIS, [{ ...lastSpan, start: 0, end: 1, text: ELLIPSIS }]));
+    let count = boundaries.length - 1;
+    while (count > 0 && boundaries[count - 1].width + ellipsisWidth > width) count--;
+
+    for (; count > 0; count--) {
+        // Spaces before the ellipsis are dropped
+        const end = trimLineEnd(text, 0, boundaries[count - 1].end);
+        if (end === 0) break;
+        const candidate = truncate(end);
+        if (measureWidth(candidate.text, await measure(candidate.text, candidate.spans)) <= width) return candidate;
+    }
+
+    // Not even one cluster fits: show the ellipsis alone
+    return { text: ELLIPSIS, spans: [{ ...spans[0], start: 0, end: ELLIPSIS.length, text: ELLIPSIS }] };
+}
+
+/**
+ * Fit text into `options.fit.width` on one line. `mode: 'shrink'` scales the
+ * font size down (no smaller than `minFontSize`) and ellipsizes whatever still
+ * overflows at the minimum; `mode: 'ellipsis'` truncates with an ellipsis.
+ */
+async function fitTextPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options) {
+    const { mode, width, minFontSize = DEFAULT_MIN_FONT_SIZE } = options.fit;
+    const fonts = [primaryFont, internationalFonts, fallbackFont];
+    const measure = async (t, s) => (await layoutText(t, x, y, fontSize, fill, ...fonts, { ...options, spans: s, symbols: null })).advances;
+    let spans = options.spans?.length ? options.spans : defaultSpans(text, fill, fontSize, options);
+    let size = fontSize;
+
+    if (mode === 'shrink') {
+        // Advances are close to linear in font size; repeat for hinting and opsz variations
+        for (let pass = 0; pass < MAX_FIT_PASSES && size > minFontSize; pass++) {
+            const measured = measureWidth(text, await measure(text, spans));
+            if (measured <= width) break;
+            const target = Math.max(minFontSize, size * width / measured);
+            spans = scaleSpans(spans, target / size);
+            size = target;
         }
     }
 
-    const content = parts.join('');
-    if (textAnchor === 'start') return content;
+    const { levels } = resolveEmbeddingLevels(text, options.direction, options.unicodeBidi);
+    const fitted = await ellipsize(text, spans, width, measure, levels);
+    const { content } = await layoutText(fitted.text, x, y, size, fill, ...fonts, { ...options, spans: fitted.spans });
+    return content;
+}
+
+/**
+ * Lay out text adjusted to `options.textLength` as in SVG 1.1:
+ * lengthAdjust 'spacing' spreads the difference over the gaps between
+ * clusters, 'spacingAndGlyphs' scales the text along the inline axis about
+ * its anchor point.
+ */
+async function textLengthPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options) {
+    const fonts = [primaryFont, internationalFonts, fallbackFont];
+    const { content, advances } = await layoutText(text, x, y, fontSize, fill, ...fonts, options);
+    const natural = measureWidth(text, advances);
+    if (natural === 0) return content;
 
-    const totalWidth = currentX - x;
-    const offset = textAnchor === 'middle' ? -totalWidth / 2 : -totalWidth;
-    return `<g transform="translate(${offset}, 0)">${content}</g>`;
+    if (options.lengthAdjust === 'spacingAndGlyphs') {
+        const factor = options.textLength / natural;
+        const scale = isVertical(options.writingMode) ? `scale(1, ${factor})` : `scale(${factor}, 1)`;
+        return `<g transform="translate(${x}, ${y}) ${scale} translate(${-x}, ${-y})">${content}</g>`;
+    }
+    const gaps = segmentGraphemes(text).filter(g => g !== '\n').length - 1;
+    if (gaps < 1) return content;
+    const clusterSpacing = (options.textLength - natural) / gaps;
+    return (await layoutText(text, x, y, fontSize, fill, ...fonts, { ...options, clusterSpacing })).content;
+}
+
+/**
+ * Generate SVG paths for a text element. With `options.maxWidth` the text is
+ * wrapped at line break opportunities into lines no wider than maxWidth; with
+ * `options.fit` ({ mode: 'shrink'|'ellipsis', width, minFontSize }) it is
+ * shrunk or truncated to fit on one line; with `options.textLength` it is
+ * adjusted to that length (`options.lengthAdjust`). The markup may <use>
+ * symbols of `options.symbols`, whose toDefs() must then go into the document.
+ */
+export async function generateTextPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options = {}) {
+    if (options.fit?.width > 0 && (options.fit.mode === 'shrink' || options.fit.mode === 'ellipsis')) {
+        return fitTextPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options);
+    }
+    if (options.maxWidth > 0) {
+        return wrapTextPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options);
+    }
+    if (options.textLength > 0) {
+        return textLengthPaths(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options);
+    }
+    const { content } = await layoutText(text, x, y, fontSize, fill, primaryFont, internationalFonts, fallbackFont, options);
+    return content;
 }
@@ -0,0 +1,413 @@
+/**
+ * Color font tables: CPAL palettes, COLR v0 layers and v1 paint graphs, and
+ * sbix / CBDT bitmap glyphs.
+ *
+ * Paints are parsed into plain objects, with every COLR v1 transform form
+ * normalized to a matrix and variation data ignored (default instance):
+ *   { type: 'layers', layers }            { type: 'solid', paletteIndex, alpha }
+ *   { type: 'linear', colorLine, p0, p1, p2 }
+ *   { type: 'radial', colorLine, c0, r0, c1, r1 }
+ *   { type: 'sweep', colorLine, center, startAngle, endAngle }  (degrees)
+ *   { type: 'glyph', glyphId, paint }     { type: 'colrGlyph', glyphId }
+ *   { type: 'transform', matrix, paint }  { type: 'composite', mode, source, backdrop }
+ * where colorLine is { extend: 'pad'|'repeat'|'reflect', stops: [{ offset, paletteIndex, alpha }] }.
+ */
+
+// Palette index of the text's foreground color
+export const FOREGROUND_INDEX = 0xFFFF;
+
+const EXTEND_MODES = ['pad', 'repeat', 'reflect'];
+
+// COLR v1 composite modes, by value
+export const COMPOSITE_MODES = [
+    'clear', 'src', 'dest', 'src-over', 'dest-over', 'src-in', 'dest-in', 'src-out', 'dest-out', 'src-atop',
+    'dest-atop', 'xor', 'plus', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'multiply', 'hue', 'saturation', 'color', 'luminosity'
+];
+
+function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+const u24 = (view, offset) => (view.getUint16(offset) << 8) | view.getUint8(offset + 2);
+const f2dot14 = (view, offset) => view.getInt16(offset) / 16384;
+const fixed = (view, offset) => view.getInt32(offset) / 65536;
+
+/**
+ * Parse a CPAL table into { palettes, types }: palettes are arrays of
+ * [r, g, b, a] (0-255) and types the v1 palette type flags (bit 0: for light
+ * backgrounds, bit 1: for dark backgrounds; 0 when absent).
+ */
+export function parseCPAL(bytes) {
+    const view = dataView(bytes);
+    const version = view.getUint16(0);
+    const entries = view.getUint16(2);
+    const count = view.getUint16(4);
+    const recordsOffset = view.getUint32(8);
+    const palettes = [];
+    for (let i = 0; i < count; i++) {
+        const first = view.getUint16(12 + i * 2);
+        const colors = [];
+        for (let j = 0; j < entries; j++) {
+            // Color records are BGRA
+            const offset = recordsOffset + (first + j) * 4;
+            colors.push([view.getUint8(offset + 2), view.getUint8(offset + 1), view.getUint8(offset), view.getUint8(offset + 3)]);
+        }
+        palettes.push(colors);
+    }
+    const typesOffset = version >= 1 ? view.getUint32(12 + count * 2) : 0;
+    const types = palettes.map((_, i) => (typesOffset ? view.getUint32(typesOffset + i * 4) : 0));
+    return { palettes, types };
+}
+
+function parseColorLine(view, offset, variable) {
+    const stops = [];
+    const count = view.getUint16(offset + 1);
+    const size = variable ? 10 : 6;
+    for (let i = 0; i < count; i++) {
+        const stop = offset + 3 + i * size;
+        stops.push({ offset: f2dot14(view, stop), paletteIndex: view.getUint16(stop + 2), alpha: f2dot14(view, stop + 4) });
+    }
+    return { extend: EXTEND_MODES[view.getUint8(offset)] ?? 'pad', stops };
+}
+
+function translation(dx, dy) {
+    return [1, 0, 0, 1, dx, dy];
+}
+
+// Apply a matrix about a center point
+function aroundCenter([a, b, c, d], cx, cy) {
+    return [a, b, c, d, cx - a * cx - c * cy, cy - b * cx - d * cy];
+}
+
+/**
+ * Read a COLR table. Returns { getPaint(glyphId) } giving the root paint of
+ * a color glyph (v1 base glyph paints take precedence over v0 layers), or
+ * null for glyphs without color data.
+ */
+export function parseCOLR(bytes) {
+    const view = dataView(bytes);
+    const version = view.getUint16(0);
+
+    // v0: glyph => [firstLayer, numLayers]
+    const baseRecords = new Map();
+    const baseCount = view.getUint16(2);
+    const baseOffset = view.getUint32(4);
+    const layerRecordsOffset = view.getUint32(8);
+    for (let i = 0; i < baseCount; i++) {
+        const record = baseOffset + i * 6;
+        baseRecords.set(view.getUint16(record), [view.getUint16(record + 2), view.getUint16(record + 4)]);
+    }
+
+    // v1: glyph => paint offset, and the layer list
+    const basePaints = new Map();
+    let layerList = 0;
+    if (version >= 1) {
+        const baseGlyphList = view.getUint32(14);
+        layerList = view.getUint32(18);
+        if (baseGlyphList) {
+            const count = view.getUint32(baseGlyphList);
+            for (let i = 0; i < count; i++) {
+                const record = baseGlyphList + 4 + i * 6;
+                basePaints.set(view.getUint16(record), baseGlyphList + view.getUint32(record + 2));
+            }
+        }
+    }
+
+    const paints = new Map();
+    function paintAt(offset, depth = 0) {
+        if (depth > 64) throw new Error('COLR paint graph too deep');
+        if (paints.has(offset)) return paints.get(offset);
+        const paint = readPaint(offset, depth);
+        paints.set(offset, paint);
+        return paint;
+    }
+
+    function readPaint(offset, depth) {
+        const format = view.getUint8(offset);
+        const child = (at = 1) => paintAt(offset + u24(view, offset + at), depth + 1);
+        const variable = format % 2 === 1;
+        switch (format) {
+            case 1: {
+                const count = view.getUint8(offset + 1);
+                const first = view.getUint32(offset + 2);
+                const layers = [];
+                for (let i = 0; i < count; i++) layers.push(paintAt(layerList + view.getUint32(layerList + 4 + (first + i) * 4), depth + 1));
+                return { type: 'layers', layers };
+            }
+            case 2:
+            case 3:
+                return { type: 'solid', paletteIndex: view.getUint16(offset + 1), alpha: f2dot14(view, offset + 3) };
+            case 4:
+            case 5: {
+                const [x0, y0, x1, y1, x2, y2] = [4, 6, 8, 10, 12, 14].map(at => view.getInt16(offset + at));
+                return { type: 'linear', colorLine: parseColorLine(view, offset + u24(view, offset + 1), variable), p0: [x0, y0], p1: [x1, y1], p2: [x2, y2] };
+            }
+            case 6:
+            case 7: {
+                const [x0, y0, r0, x1, y1, r1] = [4, 6, 8, 10, 12, 14].map((at, i) => (i % 3 === 2 ? view.getUint16(offset + at) : view.getInt16(offset + at)));
+                return { type: 'radial', colorLine: parseColorLine(view, offset + u24(view, offset + 1), variable), c0: [x0, y0], r0, c1: [x1, y1], r1 };
+            }
+            case 8:
+            case 9:
+                return {
+                    type: 'sweep',
+                    colorLine: parseColorLine(view, offset + u24(view, offset + 1), variable),
+                    center: [view.getInt16(offset + 4), view.getInt16(offset + 6)],
+                    // Sweep angles are stored with a bias of 1.0, so 0-360 degrees fit the F2DOT14 range
+                    startAngle: (f2dot14(view, offset + 8) + 1) * 180,
+                    endAngle: (f2dot14(view, offset + 10) + 1) * 180
+                };
+            case 10:
+                return { type: 'glyph', glyphId: view.getUint16(offset + 4), paint: child() };
+            case 11:
+                return { type: 'colrGlyph', glyphId: view.getUint16(offset + 1) };
+            case 12:
+            case 13: {
+                const affine = offset + u24(view, offset + 4);
+                return { type: 'transform', matrix: [0, 4, 8, 12, 16, 20].map(at => fixed(view, affine + at)), paint: child() };
+            }
+            case 14:
+            case 15:
+                return { type: 'transform', matrix: translation(view.getInt16(offset + 4), view.getInt16(offset + 6)), paint: child() };
+            case 16:
+            case 17:
+            case 18:
+            case 19: {
+                const sx = f2dot14(view, offset + 4);
+                const sy = f2dot14(view, offset + 6);
+                const matrix = format >= 18
+                    ? aroundCenter([sx, 0, 0, sy], view.getInt16(offset + 8), view.getInt16(offset + 10))
+                    : [sx, 0, 0, sy, 0, 0];
+                return { type: 'transform', matrix, paint: child() };
+            }
+            case 20:
+            case 21:
+            case 22:
+            case 23: {
+                const s = f2dot14(view, offset + 4);
+                const matrix = format >= 22
+                    ? aroundCenter([s, 0, 0, s], view.getInt16(offset + 6), view.getInt16(offset + 8))
+                    : [s, 0, 0, s, 0, 0];
+                return { type: 'transform', matrix, paint: child() };
+            }
+            case 24:
+            case 25:
+            case 26:
+            case 27: {
+                // Counter-clockwise in the Y-up glyph space
+                const angle = f2dot14(view, offset + 4) * Math.PI;
+                const rotation = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle)];
+                const matrix = format >= 26
+                    ? aroundCenter(rotation, view.getInt16(offset + 6), view.getInt16(offset + 8))
+                    : [...rotation, 0, 0];
+                return { type: 'transform', matrix, paint: child() };
+            }
+            case 28:
+            case 29:
+            case 30:
+            case 31: {
+                const skew = [1, Math.tan(f2dot14(view, offset + 6) * Math.PI), -Math.tan(f2dot14(view, offset + 4) * Math.PI), 1];
+                const matrix = format >= 30
+                    ? aroundCenter(skew, view.getInt16(offset + 8), view.getInt16(offset + 10))
+                    : [...skew, 0, 0];
+                return { type: 'transform', matrix, paint: child() };
+            }
+            case 32:
+                return {
+                    type: 'composite',
+                    mode: COMPOSITE_MODES[view.getUint8(offset + 4)] ?? 'src-over',
+                    source: child(1),
+                    backdrop: child(5)
+                };
+            default:
+                throw new Error(`Unsupported COLR paint format ${format}`);
+        }
+    }
+
+    return {
+        getPaint(glyphId) {
+            if (basePaints.has(glyphId)) return paintAt(basePaints.get(glyphId));
+            const record = baseRecords.get(glyphId);
+            if (!record) return null;
+            const [first, count] = record;
+            const layers = [];
+            for (let i = first; i < first + count; i++) {
+                const layer = layerRecordsOffset + i * 4;
+                layers.push({
+                    type: 'glyph',
+                    glyphId: view.getUint16(layer),
+                    paint: { type: 'solid', paletteIndex: view.getUint16(layer + 2), alpha: 1 }
+                });
+            }
+            return { type: 'layers', layers };
+        }
+    };
+}
+
+/**
+ * Width and height of PNG or JPEG data, or null.
+ */
+export function imageSize(bytes) {
+    const view = dataView(bytes);
+    if (bytes.length >= 24 && view.getUint32(0) === 0x89504E47) return [view.getUint32(16), view.getUint32(20)];
+    if (bytes.length >= 4 && view.getUint16(0) === 0xFFD8) {
+        // Walk the JPEG segments to the first start-of-frame marker
+        let offset = 2;
+        while (offset + 9 < bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return [view.getUint16(offset + 7), view.getUint16(offset + 5)];
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+    return null;
+}
+
+const SBIX_IMAGE_TYPES = { 'png ': 'image/png', 'jpg ': 'image/jpeg' };
+
+/**
+ * Read an sbix table. Returns { getGlyph(glyphId, ppem) } giving the bitmap
+ * of the best strike for `ppem` (the smallest at least as large, else the
+ * largest) as { data, mimeType, ppem, originX, originY }, or null.
+ */
+export function parseSbix(bytes, numGlyphs) {
+    const view = dataView(bytes);
+    const strikes = [];
+    for (let i = 0; i < view.getUint32(4); i++) {
+        const offset = view.getUint32(8 + i * 4);
+        strikes.push({ offset, ppem: view.getUint16(offset) });
+    }
+    strikes.sort((a, b) => a.ppem - b.ppem);
+
+    function glyphData(strike, glyphId, depth = 0) {
+        if (glyphId >= numGlyphs || depth > 1) return null;
+        const start = view.getUint32(strike.offset + 4 + glyphId * 4);
+        const end = view.getUint32(strike.offset + 8 + glyphId * 4);
+        if (end - start <= 8) return null;
+        const at = strike.offset + start;
+        const type = String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+        // 'dupe' glyphs reuse another glyph's image
+        if (type === 'dupe') return glyphData(strike, view.getUint16(at + 8), depth + 1);
+        if (!SBIX_IMAGE_TYPES[type]) return null;
+        return {
+            data: bytes.subarray(at + 8, strike.offset + end),
+            mimeType: SBIX_IMAGE_TYPES[type],
+            ppem: strike.ppem,
+            originX: view.getInt16(at),
+            originY: view.getInt16(at + 2)
+        };
+    }
+
+    return {
+        getGlyph(glyphId, ppem) {
+            const preferred = [...strikes.filter(s => s.ppem >= ppem), ...strikes.filter(s => s.ppem < ppem).reverse()];
+            for (const strike of preferred) {
+                const glyph = glyphData(strike, glyphId);
+                if (glyph) return glyph;
+            }
+            return null;
+        }
+    };
+}
+
+function bigMetrics(view, offset) {
+    return { height: view.getUint8(offset), width: view.getUint8(offset + 1), bearingX: view.getInt8(offset + 2), bearingY: view.getInt8(offset + 3) };
+}
+
+/**
+ * Read CBLC/CBDT tables. Returns { getGlyph(glyphId, ppem) } giving the PNG
+ * bitmap of the best strike for `ppem` as { data, mimeType, ppem, width,
+ * height, bearingX, bearingY } (metrics in strike pixels), or null.
+ */
+export function parseCBDT(cblc, cbdt) {
+    const view = dataView(cblc);
+    const data = dataView(cbdt);
+    const strikes = [];
+    for (let i = 0; i < view.getUint32(4); i++) {
+        const record = 8 + i * 48;
+        strikes.push({
+            arrayOffset: view.getUint32(record),
+            count: view.getUint32(record + 8),
+            ppem: view.getUint8(record + 45)
+        });
+    }
+    strikes.sort((a, b) => a.ppem - b.ppem);
+
+    // Location and (for formats 2 and 5) shared metrics of a glyph's image
+    function locate(strike, glyphId) {
+        for (let i = 0; i < strike.count; i++) {
+            const entry = strike.arrayOffset + i * 8;
+            const first = view.getUint16(entry);
+            const last = view.getUint16(entry + 2);
+            if (glyphId < first || glyphId > last) continue;
+            const subtable = strike.arrayOffset + view.getUint32(entry + 4);
+            const indexFormat = view.getUint16(subtable);
+            const imageFormat = view.getUint16(subtable + 2);
+            const imageData = view.getUint32(subtable + 4);
+            const index = glyphId - first;
+            switch (indexFormat) {
+                case 1:
+                    return { imageFormat, offset: imageData + view.getUint32(subtable + 8 + index * 4) };
+                case 2:
+                    return { imageFormat, offset: imageData + index * view.getUint32(subtable + 8), metrics: bigMetrics(view, subtable + 12) };
+                case 3:
+                    return { imageFormat, offset: imageData + view.getUint16(subtable + 8 + index * 2) };
+                case 4: {
+                    const numGlyphs = view.getUint32(subtable + 8);
+                    for (let j = 0; j < numGlyphs; j++) {
+                        const pair = subtable + 12 + j * 4;
+                        if (view.getUint16(pair) === glyphId) return { imageFormat, offset: imageData + view.getUint16(pair + 2) };
+                    }
+                    return null;
+                }
+                case 5: {
+                    const imageSize = view.getUint32(subtable + 8);
+                    const numGlyphs = view.getUint32(subtable + 20);
+                    for (let j = 0; j < numGlyphs; j++) {
+                        if (view.getUint16(subtable + 24 + j * 2) === glyphId) {
+                            return { imageFormat, offset: imageData + j * imageSize, metrics: bigMetrics(view, subtable + 12) };
+                        }
+                    }
+                    return null;
+                }
+                default:
+                    return null;
+            }
+        }
+        return null;
+    }
+
+    function glyphData(strike, glyphId) {
+        const location = locate(strike, glyphId);
+        if (!location) return null;
+        const { imageFormat, offset } = location;
+        let metrics = location.metrics;
+        let dataOffset;
+        if (imageFormat === 17) {
+            metrics = bigMetrics(data, offset);
+            dataOffset = offset + 5;
+        } else if (imageFormat === 18) {
+            metrics = bigMetrics(data, offset);
+            dataOffset = offset + 8;
+        } else if (imageFormat === 19 && metrics) {
+            dataOffset = offset;
+        } else {
+            return null;
+        }
+        const length = data.getUint32(dataOffset);
+        return { data: cbdt.subarray(dataOffset + 4, dataOffset + 4 + length), mimeType: 'image/png', ppem: strike.ppem, ...metrics };
+    }
+
+    return {
+        getGlyph(glyphId, ppem) {
+            const preferred = [...strikes.filter(s => s.ppem >= ppem), ...strikes.filter(s => s.ppem < ppem).reverse()];
+            for (const strike of preferred) {
+                const glyph = glyphData(strike, glyphId);
+                if (glyph) return glyph;
+            }
+            return null;
+        }
+    };
+}
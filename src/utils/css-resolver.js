@@ -0,0 +1,346 @@
+/**
+ * CSS cascade for SVG text properties.
+ *
+ * Applies <style> rules (type, class, id, attribute, descendant and child
+ * selectors), presentation attributes, inline style= declarations and
+ * inheritance from ancestor elements.
+ */
+import { findElements, getTextContent } from './xml-parser.js';
+
+/**
+ * Properties read by the text pipeline, with whether they inherit.
+ * Any of these may also be given as a presentation attribute.
+ */
+const PROPERTIES = {
+    'fill': true,
+    'fill-opacity': true,
+    'fill-rule': true,
+    'stroke': true,
+    'stroke-width': true,
+    'stroke-opacity': true,
+    'stroke-linecap': true,
+    'stroke-linejoin': true,
+    'stroke-miterlimit': true,
+    'stroke-dasharray': true,
+    'stroke-dashoffset': true,
+    'paint-order': true,
+    'font-family': true,
+    'font-size': true,
+    'font-weight': true,
+    'font-style': true,
+    'font-stretch': true,
+    'font-variant': true,
+    'font-feature-settings': true,
+    'font-variation-settings': true,
+    'font-optical-sizing': true,
+    'font-palette': true,
+    'text-anchor': true,
+    'direction': true,
+    'writing-mode': true,
+    'text-orientation': true,
+    'letter-spacing': true,
+    'word-spacing': true,
+    'line-height': true,
+    'text-align': true,
+    'white-space': true,
+    'visibility': true,
+    'dominant-baseline': true,
+    'unicode-bidi': false,
+    'baseline-shift': false,
+    'alignment-baseline': false,
+    'text-decoration': false,
+    'text-decoration-line': false,
+    'text-decoration-color': false,
+    'inline-size': false,
+    'opacity': false,
+    'filter': false,
+    'clip-path': false,
+    'mask': false
+};
+
+/**
+ * Strip CSS comments and split a declaration block into [property, value, important]
+ * triples. Semicolons inside quotes or parentheses (e.g. data: URLs) are kept.
+ */
+export function parseDeclarations(block) {
+    const declarations = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    const flush = () => {
+        const colon = current.indexOf(':');
+        if (colon > 0) {
+            const property = current.slice(0, colon).trim().toLowerCase();
+            let value = current.slice(colon + 1).trim();
+            const important = /!\s*important$/i.test(value);
+            if (important) value = value.replace(/!\s*important$/i, '').trim();
+            if (property && value) declarations.push([property, value, important]);
+        }
+        current = '';
+    };
+    for (const c of block.replace(/\/\*[\s\S]*?\*\//g, '')) {
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '(') {
+            depth++;
+        } else if (c === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (c === ';' && depth === 0) {
+            flush();
+            continue;
+        }
+        current += c;
+    }
+    flush();
+    return declarations;
+}
+
+/**
+ * Find the index of the `}` matching the `{` at `open`.
+ */
+function findBlockEnd(css, open) {
+    let depth = 0;
+    let quote = null;
+    for (let i = open; i < css.length; i++) {
+        const c = css[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '{') {
+            depth++;
+        } else if (c === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return css.length;
+}
+
+/**
+ * Parse a stylesheet into style rules and at-rules.
+ * Returns { rules: [{ selector, specificity, order, declarations }], atRules: [{ name, prelude, body }] }.
+ */
+export function parseStylesheet(css, orderOffset = 0) {
+    const rules = [];
+    const atRules = [];
+    const src = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    let pos = 0;
+    let order = orderOffset;
+
+    while (pos < src.length) {
+        const open = src.indexOf('{', pos);
+        if (open === -1) break;
+        const prelude = src.slice(pos, open).trim();
+        const close = findBlockEnd(src, open);
+        const body = src.slice(open + 1, close);
+        pos = close + 1;
+
+        if (prelude.startsWith('@')) {
+            const m = prelude.match(/^@([-\w]+)\s*(.*)$/s);
+            // Statement at-rules (@import ...;) may precede the block
+            atRules.push({ name: m ? m[1].toLowerCase() : '', prelude: m ? m[2].trim() : '', body });
+            continue;
+        }
+
+        const declarations = parseDeclarations(body);
+        for (const selectorText of prelude.split(',')) {
+            const selector = parseSelector(selectorText.trim());
+            if (!selector) continue;
+            rules.push({ selector, specificity: selectorSpecificity(selector), order: order++, declarations });
+        }
+    }
+
+    return { rules, atRules };
+}
+
+const COMPOUND_PART_REGEX = /\*|[#.]?-?[_a-zA-Z][-\w]*|\[\s*([-\w:]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]|./g;
+
+function parseCompound(text) {
+    const compound = { tag: null, ids: [], classes: [], attrs: [] };
+    COMPOUND_PART_REGEX.lastIndex = 0;
+    let m;
+    while ((m = COMPOUND_PART_REGEX.exec(text)) !== null) {
+        const token = m[0];
+        if (token === '*') continue;
+        if (token[0] === '#') compound.ids.push(token.slice(1));
+        else if (token[0] === '.') compound.classes.push(token.slice(1));
+        else if (token[0] === '[') compound.attrs.push({ name: m[1], op: m[2] || null, value: m[3] ?? m[4] ?? m[5] ?? null });
+        else if (/^-?[_a-zA-Z]/.test(token)) compound.tag = token;
+        else return null; // pseudo-classes and anything else are unsupported
+    }
+    return compound;
+}
+
+/**
+ * Parse a selector into compounds joined by descendant (' ') or child ('>')
+ * combinators, ordered right to left. Returns null when unsupported.
+ */
+function parseSelector(text) {
+    if (!text) return null;
+    const tokens = text.replace(/\s*>\s*/g, ' > ').split(/\s+/);
+    const parts = [];
+    let combinator = null;
+    for (const token of tokens) {
+        if (token === '>') {
+            combinator = '>';
+            continue;
+        }
+        if (/[+~:]/.test(token.replace(/\[[^\]]*\]/g, ''))) return null;
+        const compound = parseCompound(token);
+        if (!compound) return null;
+        parts.push({ compound, combinator: parts.length ? (combinator || ' ') : null });
+        combinator = null;
+    }
+    return parts.reverse();
+}
+
+function selectorSpecificity(selector) {
+    let a = 0, b = 0, c = 0;
+    for (const { compound } of selector) {
+        a += compound.ids.length;
+        b += compound.classes.length + compound.attrs.length;
+        if (compound.tag) c++;
+    }
+    return a * 10000 + b * 100 + c;
+}
+
+function matchesAttr(el, { name, op, value }) {
+    const actual = el.attributes[name];
+    if (actual == null) return false;
+    switch (op) {
+        case null: return true;
+        case '=': return actual === value;
+        case '~=': return actual.split(/\s+/).includes(value);
+        case '|=': return actual === value || actual.startsWith(value + '-');
+        case '^=': return actual.startsWith(value);
+        case '$=': return actual.endsWith(value);
+        case '*=': return actual.includes(value);
+        default: return false;
+    }
+}
+
+function matchesCompound(el, compound) {
+    if (!el || el.type !== 'element') return false;
+    if (compound.tag && compound.tag !== el.name) return false;
+    if (compound.ids.length && !compound.ids.every(id => el.attributes.id === id)) return false;
+    if (compound.classes.length) {
+        const classes = (el.attributes.class || '').split(/\s+/);
+        if (!compound.classes.every(c => classes.includes(c))) return false;
+    }
+    return compound.attrs.every(a => matchesAttr(el, a));
+}
+
+function matchesSelector(el, selector, index = 0) {
+    const { compound } = selector[index];
+    if (!matchesCompound(el, compound)) return false;
+    if (index === selector.length - 1) return true;
+    // Parts are right-to-left; part i holds the combinator linking it to part i + 1
+    if (selector[index].combinator === '>') {
+        return matchesSelector(el.parent, selector, index + 1);
+    }
+    for (let p = el.parent; p && p.type === 'element'; p = p.parent) {
+        if (matchesSelector(p, selector, index + 1)) return true;
+    }
+    return false;
+}
+
+/**
+ * Collect all <style> rules of a document.
+ */
+export function collectStylesheets(doc) {
+    const rules = [];
+    const atRules = [];
+    for (const styleEl of findElements(doc, el => el.name === 'style')) {
+        const type = styleEl.attributes.type;
+        if (type && type !== 'text/css') continue;
+        const sheet = parseStylesheet(getTextContent(styleEl), rules.length);
+        rules.push(...sheet.rules);
+        atRules.push(...sheet.atRules);
+    }
+    return { rules, atRules };
+}
+
+function parseFontSize(value, parentSize) {
+    const v = value.trim().toLowerCase();
+    const keywords = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+    if (keywords[v]) return keywords[v];
+    if (v === 'smaller') return parentSize / 1.2;
+    if (v === 'larger') return parentSize * 1.2;
+    const n = parseFloat(v);
+    if (Number.isNaN(n)) return parentSize;
+    if (v.endsWith('em')) return n * parentSize;
+    if (v.endsWith('%')) return n * parentSize / 100;
+    if (v.endsWith('pt')) return n * 4 / 3;
+    return n;
+}
+
+/**
+ * Create a resolver that computes text-related styles for nodes of `doc`.
+ * `defaults` supplies values for properties not set anywhere in the cascade.
+ */
+export function createStyleResolver(doc, defaults = {}) {
+    const { rules } = collectStylesheets(doc);
+    const cache = new WeakMap();
+
+    function cascade(el) {
+        // Lowest to highest precedence: presentation attributes, rules, inline, !important rules
+        const specified = {};
+        // xml:space maps to white-space below presentation attributes
+        const xmlSpace = el.attributes['xml:space']?.trim();
+        if (xmlSpace) specified['white-space'] = xmlSpace === 'preserve' ? 'pre' : 'normal';
+        for (const [name, value] of Object.entries(el.attributes)) {
+            if (name in PROPERTIES) specified[name] = value.trim();
+        }
+
+        const matched = rules
+            .filter(rule => matchesSelector(el, rule.selector))
+            .sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+        const important = [];
+        for (const rule of matched) {
+            for (const [property, value, isImportant] of rule.declarations) {
+                if (isImportant) important.push([property, value]);
+                else specified[property] = value;
+            }
+        }
+
+        if (el.attributes.style) {
+            for (const [property, value, isImportant] of parseDeclarations(el.attributes.style)) {
+                if (isImportant) important.push([property, value]);
+                else specified[property] = value;
+            }
+        }
+        for (const [property, value] of important) specified[property] = value;
+        return specified;
+    }
+
+    function computedStyle(el) {
+        if (!el || el.type !== 'element') return { ...defaults };
+        if (cache.has(el)) return cache.get(el);
+
+        const parent = computedStyle(el.parent);
+        const specified = cascade(el);
+        const computed = {};
+
+        for (const [property, inherits] of Object.entries(PROPERTIES)) {
+            let value = specified[property];
+            if (value === 'inherit' || (value === 'unset' && inherits)) value = parent[property];
+            else if (value === 'initial' || value === 'unset') value = defaults[property];
+            else if (value == null) value = inherits ? parent[property] : defaults[property];
+            if (value != null) computed[property] = value;
+        }
+
+        // font-size is resolved to px so em/% values inherit correctly
+        const parentSize = parseFloat(parent['font-size'] ?? defaults['font-size'] ?? 16);
+        computed['font-size'] = String(specified['font-size'] && specified['font-size'] !== 'inherit'
+            ? parseFontSize(specified['font-size'], parentSize)
+            : parentSize);
+
+        cache.set(el, computed);
+        return computed;
+    }
+
+    return { computedStyle };
+}
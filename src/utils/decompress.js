@@ -47,3 +47,13 @@ export async function decompress(compressed) {
     for (const c of chunks) { merged.set(c, pos); pos += c.length; }
     return merged;
 }
+
+/**
+ * Inflate zlib-wrapped deflate data (as used by WOFF tables) with the
+ * Compression Streams API available in Node.js 18+, browsers and Workers.
+ */
+export async function inflate(compressed) {
+    const input = compressed instanceof Uint8Array ? compressed : new Uint8Array(compressed);
+    const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
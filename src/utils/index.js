@@ -1,4 +1,13 @@
 /**
  * Utility modules for Universal SVG Renderer
  */
-export { extractAllTextContent, extractEmbeddedFont, extractFontFeatures, replaceTextElement } from './svg-parser.js';
+export { extractAllTextContent, extractEmbeddedFont, extractEmbeddedFonts, extractFontPaletteValues, extractFontFeatures, replaceTextElement, replaceTextElements, getPresentationAttributes } from './svg-parser.js';
+export { resolveBoundingBoxPaints, getMarkupBounds } from './paint-server.js';
+export { parseXml, tokenize, decodeEntities, findElements, getElementById, getTextContent } from './xml-parser.js';
+export { createStyleResolver, parseStylesheet, parseDeclarations } from './css-resolver.js';
+export { parseTransform, multiply, invert, applyToPoint, toMatrixString } from './transform.js';
+export { unwrapFont, detectFontFormat } from './woff.js';
+export { parseCOLR, parseCPAL, parseSbix, parseCBDT } from './color-font.js';
+export { getLineBreaks } from './line-break.js';
+export { parsePathData, flattenPath, createPathSampler, transformPathData } from './path-geometry.js';
+export { createLRUCache } from './lru-cache.js';
@@ -0,0 +1,103 @@
+/**
+ * Line break opportunities (a practical subset of UAX #14).
+ *
+ * Breaks are only reported at grapheme cluster boundaries. Scripts written
+ * without spaces between words (Thai, Lao, Khmer, Myanmar) are broken at the
+ * word boundaries of Intl.Segmenter, which uses ICU's dictionaries for them.
+ */
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+// Simplified UAX #14 line breaking classes, tested on a cluster's first code point
+const CLASS_PATTERNS = [
+    ['BK', /^[\n\r\v\f\u0085\u2028\u2029]/],
+    ['ZW', /^\u200B/],
+    ['GL', /^[\u00A0\u2007\u202F\u2060\uFEFF\u034F\u180E]/],
+    ['SP', /^ /],
+    ['BA', /^[\t\u00AD\u1680\u2000-\u2006\u2008-\u200A\u205F\u2010\u2012\u2013\u3000]/],
+    ['B2', /^[\u2014\u2E3A\u2E3B]/],
+    ['HY', /^-/],
+    ['OP', /^[\p{Ps}\u00AB\u201C\u2018\u201E\u201A]/u],
+    // Closing punctuation, exclamation/infix separators and non-starters (small kana, iteration marks)
+    ['CL', /^[\p{Pe}\u00BB\u201D\u2019!?,.:;\u203C\u2047-\u2049\u2024-\u2026\u3001\u3002\uFF0C\uFF0E\uFF1A\uFF1B\uFF01\uFF1F\u30FC\u30FB\u3005\u303B\u309D\u309E\u30FD\u30FE\u3041\u3043\u3045\u3047\u3049\u3063\u3083\u3085\u3087\u308E\u3095\u3096\u30A1\u30A3\u30A5\u30A7\u30A9\u30C3\u30E3\u30E5\u30E7\u30EE\u30F5\u30F6\uFF61\uFF64\uFF65]/u],
+    ['SA', /^[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\p{Script=Tai_Tham}\p{Script=Tai_Viet}]/u],
+    ['ID', /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Yi}\p{Extended_Pictographic}\u3000-\u303F\uFF00-\uFFEF]/u],
+    ['NU', /^\p{Nd}/u]
+];
+
+function lineBreakClass(cluster) {
+    for (const [cls, regex] of CLASS_PATTERNS) {
+        if (regex.test(cluster)) return cls;
+    }
+    return 'AL';
+}
+
+/**
+ * Word boundaries inside runs of SA (complex-context) clusters, as UTF-16 offsets.
+ */
+function dictionaryBreaks(text, clusters) {
+    const breaks = new Set();
+    let i = 0;
+    while (i < clusters.length) {
+        if (clusters[i].cls !== 'SA') {
+            i++;
+            continue;
+        }
+        let j = i;
+        while (j < clusters.length && clusters[j].cls === 'SA') j++;
+        const start = clusters[i].index;
+        const end = j < clusters.length ? clusters[j].index : text.length;
+        for (const { index } of wordSegmenter.segment(text.slice(start, end))) {
+            if (index > 0) breaks.add(start + index);
+        }
+        i = j;
+    }
+    return breaks;
+}
+
+/**
+ * Whether a line may break between clusters `a` and `b`. `beforeSpaces` is the
+ * class of the last non-space cluster before `b`.
+ */
+function canBreak(a, b, beforeSpaces) {
+    if (b === 'BK' || b === 'SP' || b === 'ZW') return false;
+    if (a === 'ZW') return true;
+    if (a === 'GL' || b === 'GL') return false;
+    if (b === 'CL') return false;
+    if (a === 'SP') return beforeSpaces !== 'OP';
+    if (a === 'OP') return false;
+    if (b === 'BA' || b === 'HY') return false;
+    if (a === 'BA' || a === 'B2' || b === 'B2') return true;
+    // Break after a hyphen, but not in "-5" at the start of a word
+    if (a === 'HY') return b !== 'NU' && beforeSpaces !== 'SP';
+    return a === 'ID' || b === 'ID';
+}
+
+/**
+ * Find the line break opportunities of `text`.
+ * Returns [{ index, mandatory }] sorted by index, where `index` is the UTF-16
+ * offset a new line would start at. The end of the text is not included.
+ */
+export function getLineBreaks(text) {
+    const clusters = [...graphemeSegmenter.segment(text)].map(({ segment, index }) => ({ index, cls: lineBreakClass(segment), segment }));
+    const saBreaks = dictionaryBreaks(text, clusters);
+    const breaks = [];
+    let beforeSpaces = null;
+
+    for (let i = 1; i < clusters.length; i++) {
+        const prev = clusters[i - 1];
+        const next = clusters[i];
+        if (prev.cls !== 'SP') beforeSpaces = i >= 2 && clusters[i - 2].cls === 'SP' && prev.cls === 'HY' ? 'SP' : prev.cls;
+
+        if (prev.cls === 'BK') {
+            // CR LF is a single cluster, so this is one mandatory break
+            breaks.push({ index: next.index, mandatory: true });
+        } else if (prev.cls === 'SA' && next.cls === 'SA') {
+            if (saBreaks.has(next.index)) breaks.push({ index: next.index, mandatory: false });
+        } else if (canBreak(prev.cls, next.cls, beforeSpaces)) {
+            breaks.push({ index: next.index, mandatory: false });
+        }
+    }
+    return breaks;
+}
@@ -0,0 +1,68 @@
+/**
+ * Least-recently-used cache for fonts, shaped runs and glyph outlines.
+ */
+
+/**
+ * Create a cache holding at most `max` entries. Reads and writes mark an
+ * entry as most recently used; when full, the least recently used entry is
+ * dropped and passed to onEvict(value, key), as are entries removed with
+ * delete() or clear().
+ */
+export function createLRUCache({ max = 100, onEvict = null } = {}) {
+    const entries = new Map();
+    const evict = (key, value) => {
+        entries.delete(key);
+        onEvict?.(value, key);
+    };
+    // Map iteration follows insertion order, oldest first
+    const trim = () => {
+        for (const [key, value] of entries) {
+            if (entries.size <= max) break;
+            evict(key, value);
+        }
+    };
+    return {
+        get max() {
+            return max;
+        },
+        set max(value) {
+            max = value;
+            trim();
+        },
+        get size() {
+            return entries.size;
+        },
+        has(key) {
+            return entries.has(key);
+        },
+        get(key) {
+            if (!entries.has(key)) return undefined;
+            // Re-inserting marks it as the most recent
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+        set(key, value) {
+            if (entries.has(key)) {
+                const old = entries.get(key);
+                entries.delete(key);
+                if (old !== value) onEvict?.(old, key);
+            }
+            entries.set(key, value);
+            trim();
+            return this;
+        },
+        delete(key) {
+            if (!entries.has(key)) return false;
+            evict(key, entries.get(key));
+            return true;
+        },
+        clear() {
+            for (const [key, value] of [...entries]) evict(key, value);
+        },
+        values() {
+            return entries.values();
+        }
+    };
+}
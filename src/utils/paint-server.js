@@ -0,0 +1,230 @@
+/**
+ * Paint servers for generated text.
+ *
+ * A <text> element paints url(#gradient) fills and strokes with
+ * objectBoundingBox units against the bounds of the whole text, while each
+ * generated glyph path would use its own. Such gradients are re-expressed in
+ * user space against the combined bounds of the generated markup.
+ */
+import { parseXml, getElementById, spliceNodes } from './xml-parser.js';
+import { IDENTITY, parseTransform, multiply, invert, applyToPoint, toMatrixString } from './transform.js';
+import { flattenPath, transformPathData } from './path-geometry.js';
+
+const PAINT_URL_REGEX = /^url\(\s*["']?#([^"')\s]+)["']?\s*\)/;
+
+// Geometry attributes and their initial values, as fractions of the bounding box
+const GRADIENT_GEOMETRY = {
+    linearGradient: { x1: '0', y1: '0', x2: '100%', y2: '0' },
+    radialGradient: { cx: '50%', cy: '50%', r: '50%', fx: null, fy: null, fr: '0%' }
+};
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+function parseFraction(value) {
+    const v = value.trim();
+    return v.endsWith('%') ? parseFloat(v) / 100 : parseFloat(v);
+}
+
+/**
+ * The gradient referenced by a paint value when it uses objectBoundingBox
+ * units, as the chain of elements its href attributes reference (the
+ * gradient first). Returns null for other paints.
+ */
+function boundingBoxGradient(doc, paint) {
+    const id = paint?.match(PAINT_URL_REGEX)?.[1];
+    const chain = [];
+    for (let el = id ? getElementById(doc, id) : null; el && el.name in GRADIENT_GEOMETRY && !chain.includes(el);) {
+        chain.push(el);
+        const href = (el.attributes.href ?? el.attributes['xlink:href'])?.trim();
+        el = href?.startsWith('#') ? getElementById(doc, href.slice(1)) : null;
+    }
+    if (!chain.length) return null;
+    const lookup = name => chain.find(el => el.attributes[name] != null)?.attributes[name] ?? null;
+    return lookup('gradientUnits')?.trim() === 'userSpaceOnUse' ? null : { id, element: chain[0], lookup };
+}
+
+/**
+ * Markup of a userSpaceOnUse copy of an objectBoundingBox gradient for an
+ * element whose user space maps to the bounds' space by `ctm`. Stops (and
+ * spreadMethod) still come from the original through href.
+ */
+function userSpaceGradient({ id, element, lookup }, cloneId, bounds, ctm) {
+    const geometry = {};
+    for (const [name, initial] of Object.entries(GRADIENT_GEOMETRY[element.name])) {
+        geometry[name] = parseFraction(lookup(name) ?? initial ?? lookup(name === 'fx' ? 'cx' : 'cy') ?? '50%');
+    }
+    const boxMatrix = [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y];
+    const gradientTransform = parseTransform(lookup('gradientTransform')) ?? IDENTITY;
+    const matrix = multiply(multiply(invert(ctm) ?? IDENTITY, boxMatrix), gradientTransform);
+    const attributes = Object.entries(geometry).map(([name, value]) => ` ${name}="${value}"`).join('');
+    return `<${element.name} id="${escapeAttribute(cloneId)}" href="#${escapeAttribute(id)}" gradientUnits="userSpaceOnUse" gradientTransform="${toMatrixString(matrix)}"${attributes}/>`;
+}
+
+// Attributes of a <use> that place its target rather than paint it
+const USE_GEOMETRY = new Set(['href', 'xlink:href', 'transform', 'x', 'y', 'width', 'height']);
+
+// Elements whose content is only drawn where it is referenced
+const NON_RENDERED = new Set(['defs', 'clipPath', 'mask', 'pattern', 'symbol', 'marker', 'linearGradient', 'radialGradient', 'filter']);
+
+/**
+ * Walk the path, rect and use elements of a parsed fragment with their
+ * transform relative to the fragment and the stroke they inherit.
+ */
+function walkShapes(node, ctm, stroke, visit) {
+    for (const child of node.children) {
+        if (child.type !== 'element' || NON_RENDERED.has(child.name)) continue;
+        const matrix = multiply(ctm, parseTransform(child.attributes.transform) ?? IDENTITY);
+        const childStroke = child.attributes.stroke ?? stroke;
+        if (child.name === 'path' || child.name === 'rect' || child.name === 'use') visit(child, matrix, childStroke);
+        walkShapes(child, matrix, childStroke, visit);
+    }
+}
+
+function shapePoints(node) {
+    const { attributes } = node;
+    if (node.name === 'rect') {
+        const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => parseFloat(attributes[name]) || 0);
+        return [[x, y], [x + width, y + height], [x + width, y], [x, y + height]];
+    }
+    return flattenPath(attributes.d).flat();
+}
+
+/**
+ * Resolver of <use> references in a fragment: symbols of a symbol table (see
+ * createSymbolTable), else elements of the fragment or of resolved symbols.
+ */
+function createReferenceResolver(fragment, symbols) {
+    const parsed = new Map();
+    return id => {
+        const markup = symbols?.get(id);
+        if (markup) {
+            if (!parsed.has(id)) parsed.set(id, parseXml(markup).children[0]);
+            return parsed.get(id);
+        }
+        for (const root of [fragment, ...parsed.values()]) {
+            const element = getElementById(root, id);
+            if (element) return element;
+        }
+        return null;
+    };
+}
+
+function fragmentBounds(fragment, symbols = null) {
+    const resolve = createReferenceResolver(fragment, symbols);
+    const using = new Set();
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const addShape = (node, ctm) => {
+        if (node.name !== 'use') {
+            for (const [px, py] of shapePoints(node)) {
+                const { x, y } = applyToPoint(ctm, px, py);
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            }
+            return;
+        }
+        // A <use> draws its target translated by x and y
+        const href = (node.attributes.href ?? node.attributes['xlink:href'])?.trim();
+        const target = href?.startsWith('#') ? resolve(href.slice(1)) : null;
+        if (!target || using.has(target)) return;
+        using.add(target);
+        const [x, y] = ['x', 'y'].map(name => parseFloat(node.attributes[name]) || 0);
+        const matrix = multiply(multiply(ctm, [1, 0, 0, 1, x, y]), parseTransform(target.attributes.transform) ?? IDENTITY);
+        if (target.name === 'path' || target.name === 'rect' || target.name === 'use') addShape(target, matrix);
+        walkShapes(target, matrix, null, addShape);
+        using.delete(target);
+    };
+    walkShapes(fragment, IDENTITY, null, addShape);
+    return minX < maxX && minY < maxY ? { x: minX, y: minY, width: maxX - minX, height: maxY - minY } : null;
+}
+
+/**
+ * Combined bounds { x, y, width, height } of the paths and rects of an SVG
+ * fragment, in the fragment's coordinates, following <use> references into
+ * the fragment or `symbols` (see createSymbolTable). Returns null when empty.
+ */
+export function getMarkupBounds(markup, symbols = null) {
+    return fragmentBounds(parseXml(`<g>${markup}</g>`).children[0], symbols);
+}
+
+/**
+ * Rewrite url() fills and strokes of generated text markup that reference
+ * objectBoundingBox gradients of `doc` so they use the bounds of the whole
+ * markup. `stroke` is the stroke the markup inherits and `symbols` the table
+ * its <use> elements reference. Copies of the gradients are named from
+ * `idPrefix`, with the first free suffix among `reservedIds` (the ids the
+ * document uses). Returns { content, defs }.
+ */
+export function resolveBoundingBoxPaints(markup, doc, { stroke = null, idPrefix = 'text', symbols = null, reservedIds = [] } = {}) {
+    const wrapped = `<g>${markup}</g>`;
+    const fragment = parseXml(wrapped).children[0];
+    const gradients = new Map();
+    const gradientFor = paint => {
+        if (!paint?.startsWith('url(')) return null;
+        if (!gradients.has(paint)) gradients.set(paint, boundingBoxGradient(doc, paint));
+        return gradients.get(paint);
+    };
+
+    // Paint servers resolve in the user space of the painted element, which a
+    // <use> moves to its glyph. Translated uses of a path are drawn as the
+    // path itself, moved in its data, so the whole text shares one copy.
+    const resolve = createReferenceResolver(fragment, symbols);
+    const inlinePath = (node, ctm) => {
+        if (node.name !== 'use') return null;
+        const href = (node.attributes.href ?? node.attributes['xlink:href'])?.trim();
+        const target = href?.startsWith('#') ? resolve(href.slice(1)) : null;
+        const own = parseTransform(node.attributes.transform) ?? IDENTITY;
+        if (target?.name !== 'path' || target.attributes.transform || own[0] !== 1 || own[1] !== 0 || own[2] !== 0 || own[3] !== 1) return null;
+        const [x, y] = ['x', 'y'].map(name => parseFloat(node.attributes[name]) || 0);
+        const attributes = Object.fromEntries(Object.entries(node.attributes).filter(([name]) => !USE_GEOMETRY.has(name)));
+        return {
+            ctm: multiply(ctm, invert(own) ?? IDENTITY),
+            attributes: { d: transformPathData(target.attributes.d, [1, 0, 0, 1, own[4] + x, own[5] + y]), ...attributes }
+        };
+    };
+
+    const targets = [];
+    walkShapes(fragment, IDENTITY, stroke, (node, ctm, inheritedStroke) => {
+        const fill = gradientFor(node.attributes.fill);
+        const strokeGradient = gradientFor(inheritedStroke);
+        if (!fill && !strokeGradient) return;
+        const path = inlinePath(node, ctm);
+        targets.push(path ? { node, name: 'path', ...path, fill, stroke: strokeGradient } : { node, name: node.name, ctm, attributes: node.attributes, fill, stroke: strokeGradient });
+    });
+    if (!targets.length) return { content: markup, defs: '' };
+
+    const bounds = fragmentBounds(fragment, symbols);
+    if (!bounds) return { content: markup, defs: '' };
+
+    // One copy per gradient and user space
+    const copies = new Map();
+    const reserved = new Set(reservedIds);
+    let suffix = 0;
+    const copyFor = (gradient, ctm) => {
+        const key = `${gradient.id}|${ctm.join(',')}`;
+        if (!copies.has(key)) {
+            let cloneId;
+            do {
+                cloneId = `${idPrefix}-${gradient.id}-${suffix++}`;
+            } while (reserved.has(cloneId));
+            copies.set(key, { cloneId, markup: userSpaceGradient(gradient, cloneId, bounds, ctm) });
+        }
+        return `url(#${copies.get(key).cloneId})`;
+    };
+
+    const replacements = targets.map(({ node, name, ctm, attributes: original, fill, stroke: strokeGradient }) => {
+        const attributes = { ...original };
+        if (fill) attributes.fill = copyFor(fill, ctm);
+        if (strokeGradient) attributes.stroke = copyFor(strokeGradient, ctm);
+        const serialized = Object.entries(attributes).map(([attribute, value]) => ` ${attribute}="${escapeAttribute(value)}"`).join('');
+        return [node, `<${name}${serialized} />`];
+    });
+
+    return {
+        content: spliceNodes(wrapped, replacements).slice('<g>'.length, -'</g>'.length),
+        defs: `<defs>${[...copies.values()].map(copy => copy.markup).join('')}</defs>`
+    };
+}
@@ -0,0 +1,365 @@
+/**
+ * SVG path data parsing and arc-length sampling (for text on a path).
+ *
+ * Paths are flattened to polylines: curves and arcs are subdivided finely
+ * enough that sampled positions and tangents are accurate at text sizes.
+ */
+import { IDENTITY, applyToPoint } from './transform.js';
+
+const PARAM_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+const NUMBER_REGEX = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+/**
+ * Parse path data into [{ command, args }] (relative commands keep their
+ * lowercase letter), with implicit repeats expanded: extra moveto pairs
+ * become linetos. Parsing stops at the first error, as renderers do.
+ */
+export function parsePathData(d) {
+    const commands = [];
+    const src = String(d ?? '');
+    let pos = 0;
+    let command = null;
+
+    const skipSeparators = () => {
+        while (pos < src.length && /[\s,]/.test(src[pos])) pos++;
+    };
+    const readNumber = () => {
+        skipSeparators();
+        NUMBER_REGEX.lastIndex = pos;
+        const m = NUMBER_REGEX.exec(src);
+        if (!m) return null;
+        pos = NUMBER_REGEX.lastIndex;
+        return parseFloat(m[0]);
+    };
+    const readFlag = () => {
+        skipSeparators();
+        const c = src[pos];
+        if (c !== '0' && c !== '1') return null;
+        pos++;
+        return c === '1' ? 1 : 0;
+    };
+
+    while (true) {
+        skipSeparators();
+        if (pos >= src.length) break;
+        if (/[a-zA-Z]/.test(src[pos])) {
+            command = src[pos++];
+            if (!(command.toUpperCase() in PARAM_COUNTS)) break;
+        } else if (!command) {
+            break;
+        }
+
+        const count = PARAM_COUNTS[command.toUpperCase()];
+        if (count === 0) {
+            commands.push({ command, args: [] });
+            command = null;
+            continue;
+        }
+        const args = [];
+        for (let i = 0; i < count; i++) {
+            const isFlag = command.toUpperCase() === 'A' && (i === 3 || i === 4);
+            const value = isFlag ? readFlag() : readNumber();
+            if (value == null) return commands;
+            args.push(value);
+        }
+        commands.push({ command, args });
+        // Coordinates following a moveto are implicit linetos
+        if (command === 'M') command = 'L';
+        else if (command === 'm') command = 'l';
+    }
+    return commands;
+}
+
+function cubicPoint(p0, p1, p2, p3, t) {
+    const mt = 1 - t;
+    return [
+        mt * mt * mt * p0[0] + 3 * mt * mt * t * p1[0] + 3 * mt * t * t * p2[0] + t * t * t * p3[0],
+        mt * mt * mt * p0[1] + 3 * mt * mt * t * p1[1] + 3 * mt * t * t * p2[1] + t * t * t * p3[1]
+    ];
+}
+
+function quadPoint(p0, p1, p2, t) {
+    const mt = 1 - t;
+    return [
+        mt * mt * p0[0] + 2 * mt * t * p1[0] + t * t * p2[0],
+        mt * mt * p0[1] + 2 * mt * t * p1[1] + t * t * p2[1]
+    ];
+}
+
+// Number of line segments for a curve whose control polygon is `length` long
+function subdivisions(length) {
+    return Math.min(128, Math.max(4, Math.ceil(length / 2)));
+}
+
+const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+/**
+ * Points of an elliptical arc from p0 to p1 (SVG endpoint parameterization,
+ * converted to center form as in SVG 1.1 appendix F.6.5), excluding p0.
+ */
+function arcPoints(p0, [rx, ry, rotation, largeArc, sweep], p1) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [p1];
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (p0[0] - p1[0]) / 2;
+    const dy = (p0[1] - p1[1]) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let factor = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) factor = -factor;
+    const cx1 = factor * rx * y1 / ry;
+    const cy1 = -factor * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (p0[0] + p1[0]) / 2;
+    const cy = sin * cx1 + cos * cy1 + (p0[1] + p1[1]) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const n = subdivisions(Math.abs(delta) * Math.max(rx, ry));
+    const points = [];
+    for (let i = 1; i <= n; i++) {
+        const t = theta + delta * i / n;
+        const ex = rx * Math.cos(t);
+        const ey = ry * Math.sin(t);
+        points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+    }
+    points[points.length - 1] = p1;
+    return points;
+}
+
+/**
+ * Flatten path data into subpaths of absolute points.
+ */
+export function flattenPath(d) {
+    const subpaths = [];
+    let points = null;
+    let current = [0, 0];
+    let start = [0, 0];
+    let lastControl = null;
+    let lastCommand = null;
+
+    for (const { command, args } of parsePathData(d)) {
+        const upper = command.toUpperCase();
+        const relative = command !== upper && upper !== 'Z';
+        const abs = (x, y) => (relative ? [current[0] + x, current[1] + y] : [x, y]);
+        let control = null;
+
+        if (upper === 'M') {
+            current = abs(args[0], args[1]);
+            start = current;
+            points = [current];
+            subpaths.push(points);
+        } else {
+            if (!points) {
+                points = [current];
+                subpaths.push(points);
+            }
+            let end;
+            switch (upper) {
+                case 'L':
+                    end = abs(args[0], args[1]);
+                    points.push(end);
+                    break;
+                case 'H':
+                    end = [relative ? current[0] + args[0] : args[0], current[1]];
+                    points.push(end);
+                    break;
+                case 'V':
+                    end = [current[0], relative ? current[1] + args[0] : args[0]];
+                    points.push(end);
+                    break;
+                case 'C':
+                case 'S': {
+                    const c1 = upper === 'C'
+                        ? abs(args[0], args[1])
+                        : (lastControl && 'CS'.includes(lastCommand) ? [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]] : current);
+                    const rest = upper === 'C' ? args.slice(2) : args;
+                    const c2 = abs(rest[0], rest[1]);
+                    end = abs(rest[2], rest[3]);
+                    const n = subdivisions(distance(current, c1) + distance(c1, c2) + distance(c2, end));
+                    for (let i = 1; i <= n; i++) points.push(cubicPoint(current, c1, c2, end, i / n));
+                    control = c2;
+                    break;
+                }
+                case 'Q':
+                case 'T': {
+                    const c = upper === 'Q'
+                        ? abs(args[0], args[1])
+                        : (lastControl && 'QT'.includes(lastCommand) ? [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]] : current);
+                    end = upper === 'Q' ? abs(args[2], args[3]) : abs(args[0], args[1]);
+                    const n = subdivisions(distance(current, c) + distance(c, end));
+                    for (let i = 1; i <= n; i++) points.push(quadPoint(current, c, end, i / n));
+                    control = c;
+                    break;
+                }
+                case 'A':
+                    end = abs(args[5], args[6]);
+                    points.push(...arcPoints(current, args, end));
+                    break;
+                case 'Z':
+                    end = start;
+                    points.push(end);
+                    // A command after closepath starts from the subpath's start
+                    points = null;
+                    break;
+            }
+            current = end;
+        }
+        lastControl = control;
+        lastCommand = upper;
+    }
+    return subpaths;
+}
+
+// Coordinates are written with enough precision for scaled-up viewBoxes
+const formatNumber = v => +v.toFixed(4);
+
+/**
+ * Radii, rotation and sweep of an elliptical arc after the linear part of
+ * `matrix`: the image of the ellipse's axes, from the eigen decomposition of
+ * E * E^T where E maps the unit circle onto the transformed ellipse.
+ */
+function transformArc([rx, ry, rotation, largeArc, sweep], [a, b, c, d]) {
+    const phi = rotation * Math.PI / 180;
+    const e1 = [(a * Math.cos(phi) + c * Math.sin(phi)) * rx, (b * Math.cos(phi) + d * Math.sin(phi)) * rx];
+    const e2 = [(-a * Math.sin(phi) + c * Math.cos(phi)) * ry, (-b * Math.sin(phi) + d * Math.cos(phi)) * ry];
+    const p = e1[0] * e1[0] + e2[0] * e2[0];
+    const q = e1[0] * e1[1] + e2[0] * e2[1];
+    const r = e1[1] * e1[1] + e2[1] * e2[1];
+    const root = Math.hypot((p - r) / 2, q);
+    return [
+        Math.sqrt(Math.max(0, (p + r) / 2 + root)),
+        Math.sqrt(Math.max(0, (p + r) / 2 - root)),
+        Math.atan2(2 * q, p - r) / 2 * 180 / Math.PI,
+        largeArc,
+        a * d - b * c < 0 ? 1 - sweep : sweep
+    ];
+}
+
+/**
+ * Apply a matrix to path data. Returns absolute path data in which H/V
+ * become lines and smooth curves are written out in full.
+ */
+export function transformPathData(d, matrix) {
+    const out = [];
+    let current = [0, 0];
+    let start = [0, 0];
+    let lastControl = null;
+    let lastCommand = null;
+    const point = ([x, y]) => {
+        const p = applyToPoint(matrix, x, y);
+        return `${formatNumber(p.x)},${formatNumber(p.y)}`;
+    };
+
+    for (const { command, args } of parsePathData(d)) {
+        const upper = command.toUpperCase();
+        const relative = command !== upper && upper !== 'Z';
+        const abs = (x, y) => (relative ? [current[0] + x, current[1] + y] : [x, y]);
+        const reflected = commands => (lastControl && commands.includes(lastCommand)
+            ? [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]]
+            : current);
+        let control = null;
+        let end;
+        switch (upper) {
+            case 'M':
+                end = abs(args[0], args[1]);
+                start = end;
+                out.push(`M${point(end)}`);
+                break;
+            case 'L':
+            case 'H':
+            case 'V':
+                end = upper === 'L' ? abs(args[0], args[1])
+                    : upper === 'H' ? [relative ? current[0] + args[0] : args[0], current[1]]
+                        : [current[0], relative ? current[1] + args[0] : args[0]];
+                out.push(`L${point(end)}`);
+                break;
+            case 'C':
+            case 'S': {
+                const c1 = upper === 'C' ? abs(args[0], args[1]) : reflected('CS');
+                const rest = upper === 'C' ? args.slice(2) : args;
+                control = abs(rest[0], rest[1]);
+                end = abs(rest[2], rest[3]);
+                out.push(`C${point(c1)} ${point(control)} ${point(end)}`);
+                break;
+            }
+            case 'Q':
+            case 'T':
+                control = upper === 'Q' ? abs(args[0], args[1]) : reflected('QT');
+                end = upper === 'Q' ? abs(args[2], args[3]) : abs(args[0], args[1]);
+                out.push(`Q${point(control)} ${point(end)}`);
+                break;
+            case 'A': {
+                end = abs(args[5], args[6]);
+                const [rx, ry, rotation, largeArc, sweep] = transformArc(args, matrix);
+                out.push(`A${formatNumber(rx)},${formatNumber(ry)} ${formatNumber(rotation)} ${largeArc} ${sweep} ${point(end)}`);
+                break;
+            }
+            case 'Z':
+                end = start;
+                out.push('Z');
+                break;
+        }
+        current = end;
+        lastControl = control;
+        lastCommand = upper;
+    }
+    return out.join('');
+}
+
+/**
+ * Create an arc-length sampler for path data, optionally transformed by a
+ * matrix. Returns { length, pointAt(distance) } where pointAt gives
+ * { x, y, angle } (tangent angle in degrees) or null off the path. Moveto
+ * gaps between subpaths add no length.
+ */
+export function createPathSampler(d, matrix = IDENTITY) {
+    const segments = [];
+    let length = 0;
+    for (const subpath of flattenPath(d)) {
+        const points = subpath.map(([x, y]) => applyToPoint(matrix, x, y));
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+            if (segmentLength === 0) continue;
+            segments.push({ a, b, start: length, length: segmentLength });
+            length += segmentLength;
+        }
+    }
+
+    function pointAt(offset) {
+        if (segments.length === 0 || offset < 0 || offset > length) return null;
+        let lo = 0;
+        let hi = segments.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (segments[mid].start <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        const { a, b, start, length: segmentLength } = segments[lo];
+        const t = Math.min(1, (offset - start) / segmentLength);
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI
+        };
+    }
+
+    return { length, pointAt };
+}
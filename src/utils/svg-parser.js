@@ -1,22 +1,12 @@
 /**
  * SVG parsing utilities
  */
+import { parseXml, findElements, getElementById, spliceNodes } from './xml-parser.js';
+import { createStyleResolver, collectStylesheets, parseDeclarations } from './css-resolver.js';
+import { IDENTITY, parseTransform } from './transform.js';
 
-function stripInnerTags(content) {
-    // Strip inner element tags (e.g. <tspan ...>...</tspan>) keeping only text
-    return content.replace(/<[^>]+>/g, '').trim();
-}
-
-function attr(str, name) {
-    // Match both single- and double-quoted attribute values, with optional spaces around =
-    const m = str.match(new RegExp(`${name}\\s*=\\s*["']([^"']+)["']`));
-    return m?.[1] ?? null;
-}
-
-function parseTranslate(str) {
-    // Extract x, y from transform="translate(x, y)" or translate(x y)
-    const m = str.match(/translate\(\s*([\d.+-]+)[\s,]+([\d.+-]+)\s*\)/);
-    return m ? { tx: parseFloat(m[1]), ty: parseFloat(m[2]) } : null;
+function attr(node, name) {
+    return node.attributes[name] ?? null;
 }
 
 function normalizeFontWeight(raw) {
@@ -26,73 +16,520 @@ function normalizeFontWeight(raw) {
     return named[w] || parseInt(w, 10) || 400;
 }
 
-function parseTextElement(fullMatch, contentMatch) {
-    const fontSizeRaw = attr(fullMatch, 'font-size');
-    const fontSizeVal = fontSizeRaw ? parseFloat(fontSizeRaw) : 68;
-    const fill = attr(fullMatch, 'fill') || 'white';
-    const fontWeightRaw = attr(fullMatch, 'font-weight');
-    let fontWeight = normalizeFontWeight(fontWeightRaw);
-    const textAnchor = attr(fullMatch, 'text-anchor') || 'start';
-    let x = parseFloat(attr(fullMatch, 'x') || '70');
-    let y = parseFloat(attr(fullMatch, 'y') || '446');
-
-    // Apply transform="translate(tx, ty)" offset
-    const transform = attr(fullMatch, 'transform');
-    if (transform) {
-        const t = parseTranslate(transform);
-        if (t) { x += t.tx; y += t.ty; }
+/**
+ * Resolve a length to px. Percentages resolve against `percentBase` (the
+ * font size unless given) and are ignored when it is null.
+ */
+function parseLength(raw, fontSize, percentBase = fontSize) {
+    if (raw == null) return null;
+    // Multi-value lists (x="10 20 30") only position the first character
+    const first = String(raw).trim().split(/[\s,]+/)[0];
+    const n = parseFloat(first);
+    if (Number.isNaN(n)) return null;
+    if (first.endsWith('em')) return n * fontSize;
+    if (first.endsWith('%')) return percentBase != null ? n * percentBase / 100 : null;
+    return n;
+}
+
+/**
+ * Size of the root viewport that percentage x/y/dx/dy resolve against: the
+ * viewBox size, else the root's width and height (null when unknown).
+ */
+function readViewport(doc) {
+    const root = doc.children.find(node => node.type === 'element');
+    if (!root) return { width: null, height: null };
+    const viewBox = attr(root, 'viewBox')?.trim().split(/[\s,]+/).map(Number);
+    if (viewBox?.length === 4 && viewBox.every(Number.isFinite)) return { width: viewBox[2], height: viewBox[3] };
+    const size = name => {
+        const value = attr(root, name)?.trim();
+        return value && !value.endsWith('%') ? parseFloat(value) || null : null;
+    };
+    return { width: size('width'), height: size('height') };
+}
+
+/**
+ * Resolve baseline-shift to px, or to 'super' / 'sub', which depend on the
+ * font's superscript and subscript offsets and are resolved at layout.
+ */
+function parseBaselineShift(raw, fontSize) {
+    if (!raw) return 0;
+    const v = raw.trim();
+    if (v === 'baseline') return 0;
+    if (v === 'super' || v === 'sub') return v;
+    return parseLength(v, fontSize) ?? 0;
+}
+
+// dominant-baseline / alignment-baseline keywords and the baseline table
+// entries they select (see FontLoader.getBaselines); others are `auto`
+const BASELINES = {
+    'alphabetic': 'alphabetic',
+    'ideographic': 'ideographic',
+    'hanging': 'hanging',
+    'mathematical': 'mathematical',
+    'central': 'central',
+    'center': 'central',
+    'middle': 'middle',
+    'text-top': 'textTop',
+    'text-before-edge': 'textTop',
+    'before-edge': 'textTop',
+    'top': 'textTop',
+    'text-bottom': 'textBottom',
+    'text-after-edge': 'textBottom',
+    'after-edge': 'textBottom',
+    'bottom': 'textBottom'
+};
+
+function normalizeBaseline(value) {
+    return BASELINES[value?.trim().toLowerCase()] ?? null;
+}
+
+/**
+ * How white space is handled: 'preserve' keeps it as written, newlines
+ * included (white-space: pre, pre-wrap, break-spaces, or xml:space="preserve");
+ * 'pre-line' keeps newlines but collapses spaces; 'collapse' is SVG's default.
+ */
+function readWhiteSpace(computed) {
+    const v = computed['white-space']?.trim().toLowerCase();
+    if (v === 'pre' || v === 'pre-wrap' || v === 'break-spaces') return 'preserve';
+    if (v === 'pre-line') return 'pre-line';
+    return 'collapse';
+}
+
+/**
+ * Collapse the white space of a text node: newlines and tabs become spaces
+ * (except newlines under pre-line) and runs of spaces become one.
+ */
+function collapseWhiteSpace(text, whiteSpace) {
+    if (whiteSpace === 'preserve') return text;
+    const normalized = text.replace(/\r\n?/g, '\n');
+    if (whiteSpace === 'pre-line') return normalized.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/[ \t]+/g, ' ');
+    return normalized.replace(/[ \t\n]+/g, ' ');
+}
+
+/**
+ * Resolve line-height to a distance in px: `normal` is 1.2em, plain numbers
+ * and percentages multiply the font size.
+ */
+function parseLineHeight(raw, fontSize) {
+    const v = raw?.trim().toLowerCase();
+    if (!v || v === 'normal') return fontSize * 1.2;
+    const n = parseFloat(v);
+    if (Number.isNaN(n) || n < 0) return fontSize * 1.2;
+    if (/^[\d.]+$/.test(v) || v.endsWith('em')) return n * fontSize;
+    if (v.endsWith('%')) return n * fontSize / 100;
+    return n;
+}
+
+/**
+ * Resolve letter-spacing / word-spacing to px (`normal` is 0).
+ */
+function parseSpacing(raw, fontSize) {
+    const v = raw?.trim().toLowerCase();
+    if (!v || v === 'normal') return 0;
+    return parseLength(v, fontSize) ?? 0;
+}
+
+const DECORATION_LINES = ['underline', 'overline', 'line-through'];
+const DECORATION_KEYWORDS_REGEX = /(?:^|\s)(?:underline|overline|line-through|blink|none|solid|double|dotted|dashed|wavy|auto|from-font|[-+]?[\d.]+(?:px|em|%)?)(?=\s|$)/gi;
+
+/**
+ * Read the text decorations an element declares as [{ line, color }]. The
+ * color is text-decoration-color (or the color in the text-decoration
+ * shorthand), else the element's fill.
+ */
+function readDecorations(computed, fill) {
+    const value = computed['text-decoration-line'] ?? computed['text-decoration'];
+    if (!value) return [];
+    const tokens = value.trim().toLowerCase().split(/\s+/);
+    const lines = DECORATION_LINES.filter(line => tokens.includes(line));
+    if (!lines.length) return [];
+    const shorthandColor = computed['text-decoration']?.replace(DECORATION_KEYWORDS_REGEX, ' ').trim();
+    const color = computed['text-decoration-color'] ?? (shorthandColor || fill);
+    return lines.map(line => ({ line, color }));
+}
+
+/**
+ * Defaults for properties not set anywhere in the cascade.
+ */
+const TEXT_STYLE_DEFAULTS = {
+    'font-size': '68',
+    'fill': 'white',
+    'font-weight': 'normal',
+    'text-anchor': 'start'
+};
+
+/**
+ * Convert an element's computed style into the text properties used for rendering.
+ */
+function readTextStyle(computed) {
+    const fontSize = parseFloat(computed['font-size']);
+    return {
+        fontSize,
+        fill: computed.fill,
+        fontWeight: normalizeFontWeight(computed['font-weight']),
+        fontFamily: computed['font-family'] ?? null,
+        fontStyle: computed['font-style'] ?? 'normal',
+        fontStretch: computed['font-stretch'] ?? null,
+        fontVariationSettings: computed['font-variation-settings'] ?? null,
+        fontOpticalSizing: computed['font-optical-sizing'] ?? 'auto',
+        fontPalette: computed['font-palette'] ?? 'normal',
+        lineHeight: parseLineHeight(computed['line-height'], fontSize),
+        letterSpacing: parseSpacing(computed['letter-spacing'], fontSize),
+        wordSpacing: parseSpacing(computed['word-spacing'], fontSize),
+        whiteSpace: readWhiteSpace(computed)
+    };
+}
+
+const TEXT_CONTENT_ELEMENTS = new Set(['tspan', 'a', 'textPath']);
+
+/**
+ * Read the geometry of a <textPath>: the <path> it references (href or
+ * xlink:href, with that path's transform) or SVG 2 `path` data, plus
+ * startOffset (a length, or a percentage of the path length), side and the
+ * textPath's computed text-anchor. Returns null when there is no usable path.
+ */
+function readTextPath(node, fontSize, textAnchor = 'start') {
+    let d = attr(node, 'path');
+    let matrix = IDENTITY;
+    if (!d) {
+        const href = (attr(node, 'href') ?? attr(node, 'xlink:href'))?.trim();
+        if (!href?.startsWith('#')) return null;
+        let root = node;
+        while (root.parent) root = root.parent;
+        const target = getElementById(root, href.slice(1));
+        if (!target || target.name !== 'path') return null;
+        d = attr(target, 'd');
+        matrix = parseTransform(attr(target, 'transform')) ?? IDENTITY;
     }
+    if (!d?.trim()) return null;
 
-    // Also check CSS style attribute for overrides
-    const styleMatch = fullMatch.match(/style=["']([^"']*)["']/);
-    let styleFontSize, styleFill, styleFontWeight;
-    if (styleMatch) {
-        const style = styleMatch[1];
-        const fsMat = style.match(/font-size:\s*(\d+\.?\d*)(?:px)?/);
-        if (fsMat) styleFontSize = parseFloat(fsMat[1]);
-        const fillMat = style.match(/(?:^|;)\s*fill:\s*([^;]+)/);
-        if (fillMat) styleFill = fillMat[1].trim();
-        const fwMat = style.match(/font-weight:\s*([^;]+)/);
-        if (fwMat) styleFontWeight = normalizeFontWeight(fwMat[1]);
+    const startOffset = attr(node, 'startOffset')?.trim() ?? '0';
+    const startOffsetPercent = startOffset.endsWith('%');
+    return {
+        d,
+        matrix,
+        startOffset: startOffsetPercent ? parseFloat(startOffset) || 0 : parseLength(startOffset, fontSize) ?? 0,
+        startOffsetPercent,
+        side: attr(node, 'side')?.trim() === 'right' ? 'right' : 'left',
+        textAnchor
+    };
+}
+
+/**
+ * Flatten the character data of a <text> element into styled spans.
+ * Each span is { start, end, text, fill, fontSize, fontWeight, baselineShift,
+ * x, y, dx, dy } where the positional values (or null) apply to the span's
+ * first character, as they do for the first character of a <tspan>. Spans
+ * inside a <textPath> share its `textPath` geometry (see readTextPath); the
+ * content of a <textPath> whose path does not resolve is skipped.
+ * `alignmentBaseline` is the baseline a span aligns to its parent's (its
+ * alignment-baseline, else the parent's dominant-baseline) and
+ * `scriptShifts` the super/sub baseline-shifts of the span and its ancestors.
+ * `decorations` lists the text decorations of the span and its ancestors.
+ */
+function collectSpans(node, style, spans, pending, resolver, viewport) {
+    for (const child of node.children) {
+        if (child.type === 'text') {
+            const text = collapseWhiteSpace(child.value, style.whiteSpace);
+            if (!text) continue;
+            spans.push({ text, ...style, ...pending.take() });
+            continue;
+        }
+        if (child.type !== 'element' || !TEXT_CONTENT_ELEMENTS.has(child.name)) continue;
+
+        const computed = resolver.computedStyle(child);
+        const own = readTextStyle(computed);
+        const textPath = child.name === 'textPath' ? readTextPath(child, own.fontSize, computed['text-anchor']) : style.textPath;
+        // A <textPath> without a usable path is not rendered
+        if (!textPath && child.name === 'textPath') continue;
+        const shift = parseBaselineShift(computed['baseline-shift'], style.fontSize);
+        const childStyle = {
+            ...own,
+            // Decorations are drawn across the text of descendants too
+            decorations: [...style.decorations, ...readDecorations(computed, own.fill)],
+            baselineShift: style.baselineShift + (typeof shift === 'number' ? shift : 0),
+            // super/sub use the parent's font size, as percentages do
+            scriptShifts: typeof shift === 'string' ? [...style.scriptShifts, { position: shift, fontSize: style.fontSize }] : style.scriptShifts,
+            dominantBaseline: normalizeBaseline(computed['dominant-baseline']) ?? style.dominantBaseline,
+            alignmentBaseline: normalizeBaseline(computed['alignment-baseline']) ?? style.dominantBaseline,
+            textPath
+        };
+        pending.set({
+            x: parseLength(attr(child, 'x'), own.fontSize, viewport.width),
+            y: parseLength(attr(child, 'y'), own.fontSize, viewport.height),
+            dx: parseLength(attr(child, 'dx'), own.fontSize, viewport.width),
+            dy: parseLength(attr(child, 'dy'), own.fontSize, viewport.height)
+        });
+        collectSpans(child, childStyle, spans, pending, resolver, viewport);
     }
+}
 
+function createPendingPosition() {
+    let current = { x: null, y: null, dx: null, dy: null };
     return {
-        textElement: fullMatch,
-        textContent: stripInnerTags(contentMatch),
+        set(pos) {
+            // Relative shifts accumulate; absolute positions override
+            current = {
+                x: pos.x ?? current.x,
+                y: pos.y ?? current.y,
+                dx: pos.dx != null ? (current.dx ?? 0) + pos.dx : current.dx,
+                dy: pos.dy != null ? (current.dy ?? 0) + pos.dy : current.dy
+            };
+        },
+        take() {
+            const pos = current;
+            current = { x: null, y: null, dx: null, dy: null };
+            return pos;
+        }
+    };
+}
+
+/**
+ * Collapse white space across span boundaries (a collapsible space at the
+ * start of the element, after another space or at its end is dropped), drop
+ * empty spans and assign character offsets.
+ */
+function finalizeSpans(spans) {
+    let afterSpace = true;
+    for (const span of spans) {
+        if (afterSpace && span.whiteSpace !== 'preserve') span.text = span.text.replace(/^ /, '');
+        if (span.text) afterSpace = /[ \n]$/.test(span.text);
+    }
+    for (let i = spans.length - 1; i >= 0; i--) {
+        if (spans[i].whiteSpace === 'preserve') break;
+        spans[i].text = spans[i].text.replace(/ $/, '');
+        if (spans[i].text) break;
+    }
+
+    let offset = 0;
+    let carried = null;
+    const result = [];
+    for (const span of spans) {
+        if (!span.text) {
+            // Keep the position of a dropped span for the next one
+            carried = { x: span.x ?? carried?.x ?? null, y: span.y ?? carried?.y ?? null, dx: span.dx ?? carried?.dx ?? null, dy: span.dy ?? carried?.dy ?? null };
+            continue;
+        }
+        if (carried) {
+            for (const key of ['x', 'y', 'dx', 'dy']) span[key] ??= carried[key];
+            carried = null;
+        }
+        span.start = offset;
+        offset += span.text.length;
+        span.end = offset;
+        result.push(span);
+    }
+    return result;
+}
+
+// SVG 1.1 writing-mode values and their CSS equivalents
+const WRITING_MODES = {
+    'lr': 'horizontal-tb',
+    'lr-tb': 'horizontal-tb',
+    'rl': 'horizontal-tb',
+    'rl-tb': 'horizontal-tb',
+    'tb': 'vertical-rl',
+    'tb-rl': 'vertical-rl',
+    'vertical-rl': 'vertical-rl',
+    'vertical-lr': 'vertical-lr'
+};
+
+function normalizeWritingMode(value) {
+    return WRITING_MODES[value?.trim().toLowerCase()] ?? 'horizontal-tb';
+}
+
+function parseTextElement(node, resolver, viewport) {
+    const computed = resolver.computedStyle(node);
+    const textStyle = readTextStyle(computed);
+    const { fontSize, fill, fontWeight, fontFamily, fontStyle } = textStyle;
+    const textAnchor = computed['text-anchor'];
+    const x = parseLength(attr(node, 'x'), fontSize, viewport.width) ?? 70;
+    const y = parseLength(attr(node, 'y'), fontSize, viewport.height) ?? 446;
+
+    // Text box width: SVG 2 inline-size, or a data-max-width attribute
+    const inlineSize = computed['inline-size'];
+    const maxWidth = parseLength(inlineSize && inlineSize !== 'auto' ? inlineSize : attr(node, 'data-max-width'), fontSize);
+
+    // Auto-fit: data-fit="shrink|ellipsis" within data-fit-width, shrinking no lower than data-min-font-size
+    const fitMode = attr(node, 'data-fit')?.trim().toLowerCase();
+    const fit = fitMode ? {
+        mode: fitMode,
+        width: parseLength(attr(node, 'data-fit-width'), fontSize),
+        minFontSize: parseLength(attr(node, 'data-min-font-size'), fontSize) ?? undefined
+    } : null;
+
+    // SVG 1.1 textLength, stretching or compressing the text by lengthAdjust
+    const textLength = parseLength(attr(node, 'textLength'), fontSize);
+    const lengthAdjust = attr(node, 'lengthAdjust')?.trim() === 'spacingAndGlyphs' ? 'spacingAndGlyphs' : 'spacing';
+
+    // The element's own transform wraps the generated paths; ancestor
+    // transforms keep applying because the replacement stays in place.
+    const transform = attr(node, 'transform')?.trim() || null;
+    const matrix = parseTransform(transform);
+
+    const rawSpans = [];
+    const pending = createPendingPosition();
+    pending.set({
+        x: null,
+        y: null,
+        dx: parseLength(attr(node, 'dx'), fontSize, viewport.width),
+        dy: parseLength(attr(node, 'dy'), fontSize, viewport.height)
+    });
+    const dominantBaseline = normalizeBaseline(computed['dominant-baseline']);
+    collectSpans(node, { ...textStyle, baselineShift: 0, scriptShifts: [], dominantBaseline, alignmentBaseline: null, decorations: readDecorations(computed, fill) }, rawSpans, pending, resolver, viewport);
+    const spans = finalizeSpans(rawSpans);
+
+    return {
+        textElement: node,
+        textContent: spans.map(s => s.text).join(''),
+        spans,
+        style: computed,
         attributes: {
-            fontSize: styleFontSize || fontSizeVal,
-            fill: styleFill || fill,
-            fontWeight: styleFontWeight || fontWeight,
+            fontSize,
+            fill,
+            fontWeight,
+            fontFamily,
+            fontStyle,
             textAnchor,
+            direction: computed.direction === 'rtl' ? 'rtl' : 'ltr',
+            unicodeBidi: computed['unicode-bidi'] ?? 'normal',
+            writingMode: normalizeWritingMode(computed['writing-mode']),
+            textOrientation: computed['text-orientation'] ?? 'mixed',
+            dominantBaseline,
+            transform: matrix === IDENTITY ? null : transform,
             x,
-            y
+            y,
+            maxWidth: maxWidth > 0 ? maxWidth : null,
+            textAlign: computed['text-align'] ?? null,
+            lineHeight: textStyle.lineHeight,
+            textLength: textLength > 0 ? textLength : null,
+            lengthAdjust,
+            fit
         }
     };
 }
 
-export function extractAllTextContent(svgString) {
-    const regex = /<text\b[^>]*>((?:(?!<text\b)[\s\S])*?)<\/text>/g;
-    const results = [];
-    let match;
-    while ((match = regex.exec(svgString)) !== null) {
-        results.push(parseTextElement(match[0], match[1]));
+// Painting and compositing properties of a <text> element that apply to the
+// whole element, carried over to the group that replaces it
+const PRESENTATION_PROPERTIES = [
+    'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+    'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset', 'paint-order',
+    'opacity', 'filter', 'clip-path', 'mask', 'visibility'
+];
+
+/**
+ * Presentation attributes (as ` name="value"` markup) for the group replacing
+ * a text element, from its computed style.
+ */
+export function getPresentationAttributes(computed) {
+    return PRESENTATION_PROPERTIES
+        .filter(name => computed[name] != null)
+        .map(name => ` ${name}="${computed[name].replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')}"`)
+        .join('');
+}
+
+/**
+ * Extract every top-level <text> element from an SVG string or a document
+ * returned by parseXml(). Each entry's `textElement` is the DOM node itself,
+ * so replacements always target the element it was extracted from. Text
+ * properties are resolved through the document's CSS cascade.
+ */
+export function extractAllTextContent(svg) {
+    const doc = typeof svg === 'string' ? parseXml(svg) : svg;
+    const resolver = createStyleResolver(doc, TEXT_STYLE_DEFAULTS);
+    const viewport = readViewport(doc);
+    return findElements(doc, el => el.name === 'text', false).map(node => parseTextElement(node, resolver, viewport));
+}
+
+const FONT_DATA_URL_REGEX = /url\(\s*["']?data:(?:font\/(?:truetype|ttf|otf|sfnt|woff2?|opentype)|application\/(?:x-font-ttf|x-font-opentype|font-woff2?|font-sfnt|vnd\.ms-opentype|octet-stream))(?:;[^;,)]+)*;base64,([^)"']+)["']?\s*\)/;
+
+function parseWeightRange(raw) {
+    if (!raw) return [400, 400];
+    const values = raw.trim().split(/\s+/).map(normalizeFontWeight);
+    return [Math.min(...values), Math.max(...values)];
+}
+
+function parseFamilyName(raw) {
+    return raw ? raw.trim().replace(/^["']|["']$/g, '') : null;
+}
+
+/**
+ * Extract every base64 @font-face from the SVG's <style> blocks.
+ * Returns [{ family, weight: [min, max], style, buffer }] in document order.
+ */
+export function extractEmbeddedFonts(svg) {
+    const doc = typeof svg === 'string' ? parseXml(svg) : svg;
+    const faces = [];
+
+    for (const rule of collectStylesheets(doc).atRules) {
+        if (rule.name !== 'font-face') continue;
+        const descriptors = Object.fromEntries(parseDeclarations(rule.body).map(([name, value]) => [name, value]));
+        const dataMatch = descriptors.src?.match(FONT_DATA_URL_REGEX);
+        if (!dataMatch) continue;
+
+        try {
+            faces.push({
+                family: parseFamilyName(descriptors['font-family']),
+                weight: parseWeightRange(descriptors['font-weight']),
+                style: (descriptors['font-style'] || 'normal').trim().split(/\s+/)[0].toLowerCase(),
+                buffer: Buffer.from(dataMatch[1].replace(/\s+/g, ''), 'base64')
+            });
+        } catch (error) {
+            console.warn('Failed to extract embedded font:', error.message);
+        }
     }
-    return results;
+    return faces;
 }
 
-export function extractEmbeddedFont(svgString) {
-    const fontDataMatch = svgString.match(/src:\s*url\(data:(?:font\/(?:truetype|woff2?|opentype)|application\/(?:x-font-ttf|font-woff2?|vnd\.ms-opentype))(?:;[^;)]+)*;base64,([^)]+)\)/);
-    if (!fontDataMatch) {
-        return null;
+/**
+ * Split a CSS list on top-level commas (not inside parentheses).
+ */
+function splitCommas(value) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+    for (const c of value) {
+        if (c === '(') depth++;
+        else if (c === ')') depth = Math.max(0, depth - 1);
+        if (c === ',' && depth === 0) {
+            items.push(current.trim());
+            current = '';
+        } else {
+            current += c;
+        }
     }
+    if (current.trim()) items.push(current.trim());
+    return items;
+}
+
+/**
+ * Extract the @font-palette-values rules of the SVG's <style> blocks.
+ * Returns a Map of palette name (--name) => [{ family, basePalette,
+ * overrideColors: [[index, color]] }] in document order.
+ */
+export function extractFontPaletteValues(svg) {
+    const doc = typeof svg === 'string' ? parseXml(svg) : svg;
+    const paletteValues = new Map();
 
-    try {
-        const fontBuffer = Buffer.from(fontDataMatch[1], 'base64');
-        return fontBuffer;
-    } catch (error) {
-        console.warn('Failed to extract embedded font:', error.message);
-        return null;
+    for (const rule of collectStylesheets(doc).atRules) {
+        if (rule.name !== 'font-palette-values' || !rule.prelude.startsWith('--')) continue;
+        const descriptors = Object.fromEntries(parseDeclarations(rule.body).map(([name, value]) => [name, value]));
+        const overrideColors = splitCommas(descriptors['override-colors'] ?? '')
+            .map(entry => entry.match(/^(\d+)\s+(.+)$/))
+            .filter(Boolean)
+            .map(([, index, color]) => [parseInt(index, 10), color.trim()]);
+        if (!paletteValues.has(rule.prelude)) paletteValues.set(rule.prelude, []);
+        paletteValues.get(rule.prelude).push({
+            family: parseFamilyName(descriptors['font-family']),
+            basePalette: descriptors['base-palette']?.trim().toLowerCase() ?? null,
+            overrideColors
+        });
     }
+    return paletteValues;
+}
+
+export function extractEmbeddedFont(svgString) {
+    return extractEmbeddedFonts(svgString)[0]?.buffer ?? null;
 }
 
 export function extractFontFeatures(svgString) {
@@ -110,8 +547,24 @@ export function extractFontFeatures(svgString) {
     return features;
 }
 
+/**
+ * Replace a single text element. `textElement` is the node from
+ * extractAllTextContent() (offsets refer to the string it was parsed from)
+ * or, for backwards compatibility, the literal markup to replace.
+ */
 export function replaceTextElement(svgString, textElement, replacementContent) {
-    return svgString.replace(textElement, replacementContent);
+    if (typeof textElement === 'string') {
+        return svgString.replace(textElement, () => replacementContent);
+    }
+    return spliceNodes(svgString, [[textElement, replacementContent]]);
+}
+
+/**
+ * Replace several text elements in one pass.
+ * `replacements` is an array of [textElement node, replacement markup].
+ */
+export function replaceTextElements(svgString, replacements) {
+    return spliceNodes(svgString, replacements);
 }
 
 /**
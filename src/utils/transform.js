@@ -0,0 +1,85 @@
+/**
+ * SVG transform parsing and 2D affine matrix helpers.
+ * Matrices are [a, b, c, d, e, f] as in SVG's matrix(a b c d e f).
+ */
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+export function multiply(m1, m2) {
+    const [a1, b1, c1, d1, e1, f1] = m1;
+    const [a2, b2, c2, d2, e2, f2] = m2;
+    return [
+        a1 * a2 + c1 * b2,
+        b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2,
+        b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1,
+        b1 * e2 + d1 * f2 + f1
+    ];
+}
+
+export function applyToPoint(m, x, y) {
+    return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+/**
+ * Inverse of a matrix, or null when it is singular.
+ */
+export function invert([a, b, c, d, e, f]) {
+    const det = a * d - b * c;
+    if (!det) return null;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+function deg(a) {
+    return a * Math.PI / 180;
+}
+
+function fromFunction(name, args) {
+    switch (name) {
+        case 'matrix':
+            return args.length === 6 ? args : null;
+        case 'translate':
+            return [1, 0, 0, 1, args[0] ?? 0, args[1] ?? 0];
+        case 'scale':
+            return [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        case 'rotate': {
+            const r = deg(args[0] ?? 0);
+            const rotation = [Math.cos(r), Math.sin(r), -Math.sin(r), Math.cos(r), 0, 0];
+            if (args.length < 3) return rotation;
+            const [, cx, cy] = args;
+            return multiply(multiply([1, 0, 0, 1, cx, cy], rotation), [1, 0, 0, 1, -cx, -cy]);
+        }
+        case 'skewX':
+            return [1, 0, Math.tan(deg(args[0] ?? 0)), 1, 0, 0];
+        case 'skewY':
+            return [1, Math.tan(deg(args[0] ?? 0)), 0, 1, 0, 0];
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse an SVG transform list (e.g. "translate(10 20) rotate(45)") into one matrix.
+ * Returns IDENTITY for empty input and null when the list is malformed.
+ */
+export function parseTransform(str) {
+    if (!str || !str.trim()) return IDENTITY;
+    const regex = /\s*,?\s*([a-zA-Z]+)\s*\(([^)]*)\)/gy;
+    let matrix = IDENTITY;
+    let m;
+    let pos = 0;
+    while ((m = regex.exec(str)) !== null) {
+        const args = m[2].trim() ? m[2].trim().split(/[\s,]+/).map(parseFloat) : [];
+        if (args.some(Number.isNaN)) return null;
+        const fn = fromFunction(m[1], args);
+        if (!fn) return null;
+        matrix = multiply(matrix, fn);
+        pos = regex.lastIndex;
+    }
+    return str.slice(pos).trim() ? null : matrix;
+}
+
+export function toMatrixString(m) {
+    return `matrix(${m.map(v => +v.toFixed(6)).join(',')})`;
+}
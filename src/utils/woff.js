@@ -0,0 +1,452 @@
+/**
+ * WOFF and WOFF2 unwrapping to plain sfnt (TrueType/OpenType) bytes.
+ *
+ * WOFF tables are zlib-compressed individually; WOFF2 compresses all tables
+ * in one brotli stream and may transform glyf/loca and hmtx, which are
+ * reconstructed here following the W3C WOFF2 specification.
+ */
+import { decompress, inflate } from './decompress.js';
+
+const WOFF_SIGNATURE = 0x774F4646;  // 'wOFF'
+const WOFF2_SIGNATURE = 0x774F4632; // 'wOF2'
+
+const WOFF2_KNOWN_TAGS = [
+    'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT',
+    'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH',
+    'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar',
+    'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+/**
+ * Sequential big-endian reader over a Uint8Array.
+ */
+class Reader {
+    constructor(bytes, offset = 0) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = offset;
+    }
+
+    u8() { return this.view.getUint8(this.pos++); }
+    u16() { const v = this.view.getUint16(this.pos); this.pos += 2; return v; }
+    i16() { const v = this.view.getInt16(this.pos); this.pos += 2; return v; }
+    u32() { const v = this.view.getUint32(this.pos); this.pos += 4; return v; }
+    tag() { return String.fromCharCode(...this.take(4)); }
+
+    take(n) {
+        if (this.pos + n > this.bytes.length) throw new Error('Unexpected end of font data');
+        const out = this.bytes.subarray(this.pos, this.pos + n);
+        this.pos += n;
+        return out;
+    }
+
+    uintBase128() {
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+            const b = this.u8();
+            if (i === 0 && b === 0x80) throw new Error('Invalid UIntBase128 value');
+            value = value * 128 + (b & 0x7F);
+            if (!(b & 0x80)) return value;
+        }
+        throw new Error('Invalid UIntBase128 value');
+    }
+
+    u255() {
+        const code = this.u8();
+        if (code === 253) return this.u16();
+        if (code === 255) return this.u8() + 253;
+        if (code === 254) return this.u8() + 506;
+        return code;
+    }
+}
+
+/**
+ * Growable big-endian writer.
+ */
+class Writer {
+    constructor(size = 1024) {
+        this.bytes = new Uint8Array(size);
+        this.pos = 0;
+    }
+
+    ensure(n) {
+        if (this.pos + n <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.pos + n));
+        grown.set(this.bytes);
+        this.bytes = grown;
+    }
+
+    u8(v) { this.ensure(1); this.bytes[this.pos++] = v & 0xFF; }
+    u16(v) { this.ensure(2); this.bytes[this.pos++] = (v >> 8) & 0xFF; this.bytes[this.pos++] = v & 0xFF; }
+    u32(v) { this.u16((v >>> 16) & 0xFFFF); this.u16(v & 0xFFFF); }
+    write(arr) { this.ensure(arr.length); this.bytes.set(arr, this.pos); this.pos += arr.length; }
+    pad(align) { while (this.pos % align) this.u8(0); }
+    result() { return this.bytes.slice(0, this.pos); }
+}
+
+function toUint8Array(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function tableChecksum(bytes) {
+    let sum = 0;
+    const padded = bytes.length % 4 ? new Uint8Array(bytes.length + 4 - (bytes.length % 4)) : bytes;
+    if (padded !== bytes) padded.set(bytes);
+    const view = new DataView(padded.buffer, padded.byteOffset, padded.byteLength);
+    for (let i = 0; i < padded.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+    return sum;
+}
+
+/**
+ * Assemble an sfnt file from { tag: Uint8Array } tables.
+ */
+function buildSfnt(flavor, tables) {
+    const tags = Object.keys(tables).sort();
+    const numTables = tags.length;
+    const entrySelector = Math.floor(Math.log2(numTables));
+    const searchRange = 2 ** entrySelector * 16;
+
+    const out = new Writer(12 + numTables * 16 + tags.reduce((s, t) => s + tables[t].length + 3, 0));
+    out.u32(flavor);
+    out.u16(numTables);
+    out.u16(searchRange);
+    out.u16(entrySelector);
+    out.u16(numTables * 16 - searchRange);
+
+    let offset = 12 + numTables * 16;
+    const offsets = {};
+    for (const tag of tags) {
+        offsets[tag] = offset;
+        offset += (tables[tag].length + 3) & ~3;
+    }
+
+    for (const tag of tags) {
+        for (let i = 0; i < 4; i++) out.u8(tag.charCodeAt(i));
+        out.u32(tableChecksum(tables[tag]));
+        out.u32(offsets[tag]);
+        out.u32(tables[tag].length);
+    }
+    for (const tag of tags) {
+        out.write(tables[tag]);
+        out.pad(4);
+    }
+
+    const font = out.result();
+    // head.checkSumAdjustment makes the whole-file checksum 0xB1B0AFBA
+    if (tables.head && tables.head.length >= 12) {
+        const view = new DataView(font.buffer);
+        view.setUint32(offsets.head + 8, 0);
+        view.setUint32(offsets.head + 8, (0xB1B0AFBA - tableChecksum(font)) >>> 0);
+    }
+    return font;
+}
+
+async function unwrapWoff(bytes) {
+    const r = new Reader(bytes, 4);
+    const flavor = r.u32();
+    r.u32(); // length
+    const numTables = r.u16();
+    r.pos = 44;
+
+    const entries = [];
+    for (let i = 0; i < numTables; i++) {
+        entries.push({ tag: r.tag(), offset: r.u32(), compLength: r.u32(), origLength: r.u32(), checksum: r.u32() });
+    }
+
+    const tables = {};
+    await Promise.all(entries.map(async (entry) => {
+        const data = bytes.subarray(entry.offset, entry.offset + entry.compLength);
+        const table = entry.compLength < entry.origLength ? await inflate(data) : data;
+        if (table.length !== entry.origLength) throw new Error(`WOFF table ${entry.tag} has an invalid length`);
+        tables[entry.tag] = table;
+    }));
+    return buildSfnt(flavor, tables);
+}
+
+function withSign(flag, value) {
+    return (flag & 1) ? value : -value;
+}
+
+/**
+ * Decode one WOFF2 glyph point triplet. Returns [dx, dy] and advances `r`.
+ */
+function decodeTriplet(flag, r) {
+    if (flag < 10) return [0, withSign(flag, ((flag & 14) << 7) + r.u8())];
+    if (flag < 20) return [withSign(flag, (((flag - 10) & 14) << 7) + r.u8()), 0];
+    if (flag < 84) {
+        const b0 = flag - 20;
+        const b1 = r.u8();
+        return [withSign(flag, 1 + (b0 & 0x30) + (b1 >> 4)), withSign(flag >> 1, 1 + ((b0 & 0x0C) << 2) + (b1 & 0x0F))];
+    }
+    if (flag < 120) {
+        const b0 = flag - 84;
+        const b1 = r.u8();
+        const b2 = r.u8();
+        return [withSign(flag, 1 + (Math.floor(b0 / 12) << 8) + b1), withSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + b2)];
+    }
+    if (flag < 124) {
+        const b1 = r.u8();
+        const b2 = r.u8();
+        const b3 = r.u8();
+        return [withSign(flag, (b1 << 4) + (b2 >> 4)), withSign(flag >> 1, ((b2 & 0x0F) << 8) + b3)];
+    }
+    const b1 = r.u8(), b2 = r.u8(), b3 = r.u8(), b4 = r.u8();
+    return [withSign(flag, (b1 << 8) + b2), withSign(flag >> 1, (b3 << 8) + b4)];
+}
+
+function writeSimpleGlyph(out, endPts, points, instructions, bbox, overlap) {
+    out.u16(endPts.length);
+    out.u16(bbox[0]); out.u16(bbox[1]); out.u16(bbox[2]); out.u16(bbox[3]);
+    for (const e of endPts) out.u16(e);
+    out.u16(instructions.length);
+    out.write(instructions);
+
+    const flags = [];
+    const xs = new Writer(points.length * 2 + 1);
+    const ys = new Writer(points.length * 2 + 1);
+    let lastX = 0, lastY = 0;
+    points.forEach((p, i) => {
+        let flag = p.onCurve ? 0x01 : 0;
+        if (i === 0 && overlap) flag |= 0x40;
+        const dx = p.x - lastX;
+        const dy = p.y - lastY;
+        if (dx === 0) flag |= 0x10;
+        else if (Math.abs(dx) < 256) { flag |= 0x02 | (dx > 0 ? 0x10 : 0); xs.u8(Math.abs(dx)); }
+        else xs.u16(dx);
+        if (dy === 0) flag |= 0x20;
+        else if (Math.abs(dy) < 256) { flag |= 0x04 | (dy > 0 ? 0x20 : 0); ys.u8(Math.abs(dy)); }
+        else ys.u16(dy);
+        flags.push(flag);
+        lastX = p.x;
+        lastY = p.y;
+    });
+    for (const f of flags) out.u8(f);
+    out.write(xs.result());
+    out.write(ys.result());
+}
+
+/**
+ * Size in bytes of the composite glyph records starting at `r`, and whether
+ * they are followed by instructions.
+ */
+function scanComposite(r) {
+    const start = r.pos;
+    let hasInstructions = false;
+    let flags;
+    do {
+        flags = r.u16();
+        r.u16(); // glyphIndex
+        if (flags & 0x0100) hasInstructions = true;
+        r.pos += (flags & 0x0001) ? 4 : 2;
+        if (flags & 0x0008) r.pos += 2;
+        else if (flags & 0x0040) r.pos += 4;
+        else if (flags & 0x0080) r.pos += 8;
+    } while (flags & 0x0020);
+    return { size: r.pos - start, hasInstructions };
+}
+
+/**
+ * Rebuild glyf and loca from the WOFF2 transformed glyf table.
+ * Returns { glyf, loca, xMins } where xMins feed a transformed hmtx.
+ */
+function reconstructGlyf(data) {
+    const r = new Reader(data);
+    r.u16(); // reserved
+    const optionFlags = r.u16();
+    const numGlyphs = r.u16();
+    const indexFormat = r.u16();
+
+    const sizes = [];
+    for (let i = 0; i < 7; i++) sizes.push(r.u32());
+    let offset = r.pos;
+    const streams = sizes.map((size) => {
+        const stream = new Reader(data.subarray(offset, offset + size));
+        offset += size;
+        return stream;
+    });
+    const [nContourStream, nPointsStream, flagStream, glyphStream, compositeStream, bboxStream, instructionStream] = streams;
+    const overlapBitmap = (optionFlags & 1) ? data.subarray(offset, offset + ((numGlyphs + 7) >> 3)) : null;
+
+    const bboxBitmapLength = ((numGlyphs + 31) >> 5) * 4;
+    const bboxBitmap = bboxStream.take(bboxBitmapLength);
+
+    const glyf = new Writer(data.length * 2);
+    const locaOffsets = [];
+    const xMins = new Int16Array(numGlyphs);
+
+    for (let i = 0; i < numGlyphs; i++) {
+        locaOffsets.push(glyf.pos);
+        const nContours = nContourStream.i16();
+        const hasBbox = bboxBitmap[i >> 3] & (0x80 >> (i & 7));
+        const explicitBbox = hasBbox ? [bboxStream.i16(), bboxStream.i16(), bboxStream.i16(), bboxStream.i16()] : null;
+
+        if (nContours === 0) {
+            if (explicitBbox) throw new Error('WOFF2 empty glyph has a bounding box');
+            continue;
+        }
+
+        if (nContours === -1) {
+            if (!explicitBbox) throw new Error('WOFF2 composite glyph is missing its bounding box');
+            const start = compositeStream.pos;
+            const { size, hasInstructions } = scanComposite(compositeStream);
+            glyf.u16(0xFFFF);
+            for (const v of explicitBbox) glyf.u16(v);
+            glyf.write(compositeStream.bytes.subarray(start, start + size));
+            if (hasInstructions) {
+                const instructionLength = glyphStream.u255();
+                glyf.u16(instructionLength);
+                glyf.write(instructionStream.take(instructionLength));
+            }
+            xMins[i] = explicitBbox[0];
+            glyf.pad(4);
+            continue;
+        }
+
+        const endPts = [];
+        let totalPoints = 0;
+        for (let c = 0; c < nContours; c++) {
+            totalPoints += nPointsStream.u255();
+            endPts.push(totalPoints - 1);
+        }
+
+        const points = [];
+        let x = 0, y = 0;
+        for (let p = 0; p < totalPoints; p++) {
+            const flag = flagStream.u8();
+            const [dx, dy] = decodeTriplet(flag & 0x7F, glyphStream);
+            x += dx;
+            y += dy;
+            points.push({ x, y, onCurve: !(flag & 0x80) });
+        }
+        const instructionLength = glyphStream.u255();
+        const instructions = instructionStream.take(instructionLength);
+
+        let bbox = explicitBbox;
+        if (!bbox) {
+            bbox = [Infinity, Infinity, -Infinity, -Infinity];
+            for (const p of points) {
+                bbox[0] = Math.min(bbox[0], p.x);
+                bbox[1] = Math.min(bbox[1], p.y);
+                bbox[2] = Math.max(bbox[2], p.x);
+                bbox[3] = Math.max(bbox[3], p.y);
+            }
+            if (!points.length) bbox = [0, 0, 0, 0];
+        }
+        xMins[i] = bbox[0];
+        const overlap = overlapBitmap && (overlapBitmap[i >> 3] & (0x80 >> (i & 7)));
+        writeSimpleGlyph(glyf, endPts, points, instructions, bbox, overlap);
+        glyf.pad(4);
+    }
+    locaOffsets.push(glyf.pos);
+
+    const loca = new Writer(locaOffsets.length * (indexFormat ? 4 : 2));
+    for (const o of locaOffsets) {
+        if (indexFormat) loca.u32(o);
+        else loca.u16(o >> 1);
+    }
+    return { glyf: glyf.result(), loca: loca.result(), xMins, indexFormat };
+}
+
+/**
+ * Rebuild hmtx from its WOFF2 transformed form (left side bearings taken from glyph xMin).
+ */
+function reconstructHmtx(data, numGlyphs, numHMetrics, xMins) {
+    const r = new Reader(data);
+    const flags = r.u8();
+    const advances = [];
+    for (let i = 0; i < numHMetrics; i++) advances.push(r.u16());
+    const lsbs = [];
+    for (let i = 0; i < numHMetrics; i++) lsbs.push((flags & 1) ? xMins[i] : r.i16());
+    for (let i = numHMetrics; i < numGlyphs; i++) lsbs.push((flags & 2) ? xMins[i] : r.i16());
+
+    const out = new Writer(numHMetrics * 4 + (numGlyphs - numHMetrics) * 2);
+    for (let i = 0; i < numHMetrics; i++) {
+        out.u16(advances[i]);
+        out.u16(lsbs[i]);
+    }
+    for (let i = numHMetrics; i < numGlyphs; i++) out.u16(lsbs[i]);
+    return out.result();
+}
+
+async function unwrapWoff2(bytes) {
+    const r = new Reader(bytes, 4);
+    const flavor = r.u32();
+    r.u32(); // length
+    const numTables = r.u16();
+    r.u16(); // reserved
+    r.u32(); // totalSfntSize
+    const totalCompressedSize = r.u32();
+    r.pos = 48;
+
+    if (flavor === 0x74746366) throw new Error('WOFF2 font collections are not supported');
+
+    const entries = [];
+    for (let i = 0; i < numTables; i++) {
+        const flags = r.u8();
+        const tag = (flags & 0x3F) === 0x3F ? r.tag() : WOFF2_KNOWN_TAGS[flags & 0x3F];
+        const transformVersion = (flags >> 6) & 3;
+        const origLength = r.uintBase128();
+        const isGlyfOrLoca = tag === 'glyf' || tag === 'loca';
+        const transformed = isGlyfOrLoca ? transformVersion === 0 : transformVersion !== 0;
+        const transformLength = transformed ? r.uintBase128() : origLength;
+        entries.push({ tag, origLength, transformed, length: transformLength });
+    }
+
+    const stream = await decompress(bytes.subarray(r.pos, r.pos + totalCompressedSize));
+    const tables = {};
+    let offset = 0;
+    for (const entry of entries) {
+        entry.data = stream.subarray(offset, offset + entry.length);
+        offset += entry.length;
+        if (!entry.transformed) tables[entry.tag] = entry.data;
+    }
+
+    const byTag = Object.fromEntries(entries.map(e => [e.tag, e]));
+    let xMins = null;
+    if (byTag.glyf?.transformed) {
+        const rebuilt = reconstructGlyf(byTag.glyf.data);
+        tables.glyf = rebuilt.glyf;
+        tables.loca = rebuilt.loca;
+        xMins = rebuilt.xMins;
+        if (tables.head) {
+            // indexToLocFormat must agree with the rebuilt loca
+            const head = tables.head.slice();
+            new DataView(head.buffer).setInt16(50, rebuilt.indexFormat);
+            tables.head = head;
+        }
+    }
+    if (byTag.hmtx?.transformed) {
+        if (!xMins || !tables.hhea || !tables.maxp) throw new Error('WOFF2 transformed hmtx requires glyf, hhea and maxp');
+        const numHMetrics = new DataView(tables.hhea.buffer, tables.hhea.byteOffset).getUint16(34);
+        const numGlyphs = new DataView(tables.maxp.buffer, tables.maxp.byteOffset).getUint16(4);
+        tables.hmtx = reconstructHmtx(byTag.hmtx.data, numGlyphs, numHMetrics, xMins);
+    }
+
+    return buildSfnt(flavor, tables);
+}
+
+/**
+ * Return the font format of `data`: 'woff', 'woff2' or 'sfnt'.
+ */
+export function detectFontFormat(data) {
+    const bytes = toUint8Array(data);
+    if (bytes.length < 4) return 'sfnt';
+    const signature = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+    if (signature === WOFF_SIGNATURE) return 'woff';
+    if (signature === WOFF2_SIGNATURE) return 'woff2';
+    return 'sfnt';
+}
+
+/**
+ * Convert WOFF/WOFF2 data to sfnt bytes; other data is returned unchanged.
+ */
+export async function unwrapFont(data) {
+    const bytes = toUint8Array(data);
+    switch (detectFontFormat(bytes)) {
+        case 'woff': return unwrapWoff(bytes);
+        case 'woff2': return unwrapWoff2(bytes);
+        default: return bytes;
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * Minimal streaming XML tokenizer and DOM for SVG documents.
+ *
+ * Every node keeps the [start, end) offsets of its source markup so callers can
+ * splice replacements back into the original string without re-serializing
+ * (and without disturbing) the rest of the document.
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+export function decodeEntities(str) {
+    if (!str.includes('&')) return str;
+    return str.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, ref) => {
+        if (ref[0] === '#') {
+            const cp = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return cp >= 0 && cp <= 0x10FFFF ? String.fromCodePoint(cp) : match;
+        }
+        return NAMED_ENTITIES[ref] ?? match;
+    });
+}
+
+const ATTR_REGEX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseAttributes(str) {
+    const attributes = {};
+    ATTR_REGEX.lastIndex = 0;
+    let m;
+    while ((m = ATTR_REGEX.exec(str)) !== null) {
+        attributes[m[1]] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+    }
+    return attributes;
+}
+
+/**
+ * Find the end of a tag starting at `pos`, skipping `>` inside quoted values.
+ */
+function findTagEnd(src, pos) {
+    let quote = null;
+    for (let i = pos; i < src.length; i++) {
+        const c = src[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '>') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Tokenize an XML string.
+ * Yields { type: 'open'|'close'|'text'|'cdata'|'comment'|'pi'|'doctype', start, end, ... }.
+ */
+export function* tokenize(src) {
+    let pos = 0;
+    while (pos < src.length) {
+        const lt = src.indexOf('<', pos);
+        if (lt === -1 || lt > pos) {
+            const end = lt === -1 ? src.length : lt;
+            const raw = src.slice(pos, end);
+            yield { type: 'text', raw, value: decodeEntities(raw), start: pos, end };
+            pos = end;
+            continue;
+        }
+
+        if (src.startsWith('<!--', pos)) {
+            const close = src.indexOf('-->', pos + 4);
+            const end = close === -1 ? src.length : close + 3;
+            yield { type: 'comment', value: src.slice(pos + 4, close === -1 ? src.length : close), start: pos, end };
+            pos = end;
+        } else if (src.startsWith('<![CDATA[', pos)) {
+            const close = src.indexOf(']]>', pos + 9);
+            const end = close === -1 ? src.length : close + 3;
+            yield { type: 'cdata', value: src.slice(pos + 9, close === -1 ? src.length : close), start: pos, end };
+            pos = end;
+        } else if (src.startsWith('<?', pos)) {
+            const close = src.indexOf('?>', pos + 2);
+            const end = close === -1 ? src.length : close + 2;
+            yield { type: 'pi', value: src.slice(pos + 2, close === -1 ? src.length : close), start: pos, end };
+            pos = end;
+        } else if (src.startsWith('<!', pos)) {
+            // DOCTYPE, possibly with an internal subset in [...]
+            const bracket = src.indexOf('[', pos);
+            const gt = src.indexOf('>', pos);
+            let end = gt === -1 ? src.length : gt + 1;
+            if (bracket !== -1 && gt !== -1 && bracket < gt) {
+                const close = src.indexOf(']>', bracket);
+                end = close === -1 ? src.length : close + 2;
+            }
+            yield { type: 'doctype', value: src.slice(pos, end), start: pos, end };
+            pos = end;
+        } else if (src[pos + 1] === '/') {
+            const gt = src.indexOf('>', pos);
+            const end = gt === -1 ? src.length : gt + 1;
+            yield { type: 'close', name: src.slice(pos + 2, gt === -1 ? src.length : gt).trim(), start: pos, end };
+            pos = end;
+        } else {
+            const gt = findTagEnd(src, pos + 1);
+            if (gt === -1) throw new Error(`Unterminated tag at offset ${pos}`);
+            let body = src.slice(pos + 1, gt);
+            const selfClosing = body.endsWith('/');
+            if (selfClosing) body = body.slice(0, -1);
+            const nameEnd = body.search(/[\s/]|$/);
+            yield {
+                type: 'open',
+                name: body.slice(0, nameEnd),
+                attributes: parseAttributes(body.slice(nameEnd)),
+                selfClosing,
+                start: pos,
+                end: gt + 1
+            };
+            pos = gt + 1;
+        }
+    }
+}
+
+function createElement(name, attributes, start, contentStart, parent) {
+    return { type: 'element', name, attributes, children: [], parent, start, contentStart, end: start };
+}
+
+/**
+ * Parse an XML string into a lightweight DOM.
+ * Returns a document node { type: 'document', children, source }.
+ * Element nodes are { type: 'element', name, attributes, children, parent, start, contentStart, end },
+ * contentStart being the offset after the start tag;
+ * text and CDATA nodes are { type: 'text', value, cdata, parent, start, end }.
+ */
+export function parseXml(src) {
+    const doc = { type: 'document', children: [], parent: null, source: src, start: 0, end: src.length };
+    const stack = [doc];
+
+    for (const token of tokenize(src)) {
+        const parent = stack[stack.length - 1];
+        switch (token.type) {
+            case 'open': {
+                const el = createElement(token.name, token.attributes, token.start, token.end, parent);
+                parent.children.push(el);
+                if (token.selfClosing) {
+                    el.end = token.end;
+                } else {
+                    stack.push(el);
+                }
+                break;
+            }
+            case 'close': {
+                // Tolerate mismatched close tags by unwinding to the nearest match
+                let i = stack.length - 1;
+                while (i > 0 && stack[i].name !== token.name) i--;
+                if (i === 0) break;
+                while (stack.length > i) {
+                    const el = stack.pop();
+                    el.end = token.end;
+                }
+                break;
+            }
+            case 'text':
+            case 'cdata':
+                parent.children.push({
+                    type: 'text',
+                    value: token.value,
+                    cdata: token.type === 'cdata',
+                    parent,
+                    start: token.start,
+                    end: token.end
+                });
+                break;
+            case 'comment':
+                parent.children.push({ type: 'comment', value: token.value, parent, start: token.start, end: token.end });
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Unclosed elements extend to the end of the document
+    while (stack.length > 1) stack.pop().end = src.length;
+    return doc;
+}
+
+/**
+ * Depth-first search for elements matching `predicate`.
+ * Does not descend into a matched element when `nested` is false.
+ */
+export function findElements(node, predicate, nested = true) {
+    const results = [];
+    const visit = (n) => {
+        for (const child of n.children) {
+            if (child.type !== 'element') continue;
+            if (predicate(child)) {
+                results.push(child);
+                if (!nested) continue;
+            }
+            visit(child);
+        }
+    };
+    visit(node);
+    return results;
+}
+
+export function getElementById(doc, id) {
+    return findElements(doc, el => el.attributes.id === id)[0] ?? null;
+}
+
+/**
+ * Concatenated, entity-decoded character data of a node (comments excluded).
+ */
+export function getTextContent(node) {
+    if (node.type === 'text') return node.value;
+    if (node.type !== 'element' && node.type !== 'document') return '';
+    return node.children.map(getTextContent).join('');
+}
+
+/**
+ * Ancestor elements of a node, nearest first.
+ */
+export function getAncestors(node) {
+    const ancestors = [];
+    for (let p = node.parent; p && p.type === 'element'; p = p.parent) ancestors.push(p);
+    return ancestors;
+}
+
+/**
+ * Replace the source markup of several nodes at once.
+ * `replacements` is an array of [node, string]; nodes must not overlap.
+ */
+export function spliceNodes(src, replacements) {
+    const sorted = [...replacements].sort((a, b) => a[0].start - b[0].start);
+    let out = '';
+    let pos = 0;
+    for (const [node, content] of sorted) {
+        out += src.slice(pos, node.start) + content;
+        pos = node.end;
+    }
+    return out + src.slice(pos);
+}
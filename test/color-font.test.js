@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCOLR } from '../src/utils/index.js';
+
+const u8 = (value) => Buffer.from([value]);
+const u16 = (value) => { const b = Buffer.alloc(2); b.writeUInt16BE(value); return b; };
+const i16 = (value) => { const b = Buffer.alloc(2); b.writeInt16BE(value); return b; };
+const u24 = (value) => u32(value).subarray(1);
+const u32 = (value) => { const b = Buffer.alloc(4); b.writeUInt32BE(value); return b; };
+const f2dot14 = (value) => i16(Math.round(value * 16384));
+
+/**
+ * COLR v1 table with one base glyph paint per glyph id, each paint given as
+ * a function of its offset (from the BaseGlyphList) returning its bytes.
+ */
+function colrV1(paints) {
+    const listSize = 4 + paints.length * 6;
+    const records = [];
+    const data = [];
+    let offset = listSize;
+    paints.forEach((paint, glyphId) => {
+        const bytes = paint(offset);
+        records.push(u16(glyphId), u32(offset));
+        data.push(bytes);
+        offset += bytes.length;
+    });
+    const header = Buffer.concat([u16(1), u16(0), u32(0), u32(0), u16(0), u32(34), u32(0), u32(0), u32(0), u32(0)]);
+    return Buffer.concat([header, u32(paints.length), ...records, ...data]);
+}
+
+const colorLine = Buffer.concat([u8(0), u16(2), f2dot14(0), u16(0), f2dot14(1), f2dot14(1), u16(1), f2dot14(1)]);
+const sweep = (start, end) => () => Buffer.concat([u8(8), u24(12), i16(10), i16(-20), f2dot14(start), f2dot14(end), colorLine]);
+const solid = Buffer.concat([u8(2), u16(0), f2dot14(1)]);
+
+describe('COLR v1 paints', () => {
+    it('reads sweep angles with their 1.0 bias', () => {
+        const colr = parseCOLR(colrV1([sweep(-1, 1), sweep(-0.5, 0.25)]));
+        assert.deepEqual(colr.getPaint(0), {
+            type: 'sweep',
+            colorLine: { extend: 'pad', stops: [{ offset: 0, paletteIndex: 0, alpha: 1 }, { offset: 1, paletteIndex: 1, alpha: 1 }] },
+            center: [10, -20],
+            startAngle: 0,
+            endAngle: 360
+        });
+        assert.equal(colr.getPaint(1).startAngle, 90);
+        assert.equal(colr.getPaint(1).endAngle, 225);
+    });
+
+    it('reads rotation angles without a bias', () => {
+        const colr = parseCOLR(colrV1([() => Buffer.concat([u8(24), u24(6), f2dot14(0.5), solid])]));
+        const { matrix } = colr.getPaint(0);
+        assert.deepEqual(matrix.map(v => Math.round(v * 1e6) / 1e6), [0, 1, -1, 0, 0, 0]);
+    });
+});
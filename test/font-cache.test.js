@@ -0,0 +1,105 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { brotliDecompressSync } from 'zlib';
+import { createLRUCache } from '../src/utils/index.js';
+import { FontLoader } from '../src/renderers/index.js';
+
+const fontData = (file) => brotliDecompressSync(readFileSync(new URL(`../fonts/${file}`, import.meta.url)));
+// Evicted primary fonts are freed once their load promise settles
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createLRUCache', () => {
+    it('evicts the least recently used entry and passes it to onEvict', () => {
+        const evicted = [];
+        const cache = createLRUCache({ max: 2, onEvict: (value, key) => evicted.push([key, value]) });
+        cache.set('a', 1).set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+        assert.deepEqual(evicted, [['b', 2]]);
+        assert.deepEqual([...cache.values()], [1, 3]);
+    });
+
+    it('trims to a lowered max', () => {
+        const evicted = [];
+        const cache = createLRUCache({ max: 3, onEvict: value => evicted.push(value) });
+        cache.set('a', 1).set('b', 2).set('c', 3);
+        cache.max = 1;
+        assert.deepEqual(evicted, [1, 2]);
+        assert.equal(cache.size, 1);
+    });
+
+    it('passes replaced, deleted and cleared entries to onEvict', () => {
+        const evicted = [];
+        const cache = createLRUCache({ max: 3, onEvict: value => evicted.push(value) });
+        cache.set('a', 1).set('a', 2).set('b', 3).set('c', 4);
+        cache.delete('b');
+        cache.clear();
+        assert.deepEqual(evicted, [1, 3, 2, 4]);
+        assert.equal(cache.size, 0);
+    });
+});
+
+describe('FontLoader caches', () => {
+    const limits = { ...FontLoader.CACHE_LIMITS };
+    afterEach(() => {
+        FontLoader.configureCache(limits);
+        FontLoader.clearFontCache();
+    });
+
+    it('destroys an evicted primary font once it is released', async () => {
+        FontLoader.configureCache({ fonts: 1 });
+        const first = await FontLoader.loadPrimaryFont(fontData('noto-sans-hebrew-regular.ttf.br'));
+        const destroyed = [];
+        for (const name of ['hbFont', 'hbFace', 'hbBlob']) {
+            const destroy = first[name].destroy;
+            first[name].destroy = () => (destroyed.push(name), destroy.call(first[name]));
+        }
+
+        const second = await FontLoader.loadPrimaryFont(fontData('noto-sans-hebrew-bold.ttf.br'));
+        await settle();
+        assert.equal(first.evicted, true);
+        assert.deepEqual(destroyed, []);
+
+        FontLoader.releaseFont(first);
+        assert.deepEqual(destroyed, ['hbFont', 'hbFace', 'hbBlob']);
+        FontLoader.releaseFont(second);
+    });
+
+    it('destroys a cached primary font that is not in use when it is evicted', async () => {
+        const font = await FontLoader.loadPrimaryFont(fontData('noto-sans-hebrew-regular.ttf.br'));
+        FontLoader.releaseFont(font);
+        assert.equal(font.destroyed, undefined);
+        FontLoader.configureCache({ fonts: 0 });
+        await settle();
+        assert.equal(font.destroyed, true);
+    });
+
+    it('destroys variation instances evicted from a font', async () => {
+        FontLoader.configureCache({ instances: 2 });
+        const font = await FontLoader.loadPrimaryFont(fontData('noto-sans-hebrew-regular.ttf.br'));
+        const instances = [300, 400].map(wght => FontLoader.getFontInstance(font, { wght }));
+        const destroyed = instances.map(instance => {
+            const calls = [];
+            const destroy = instance.hbFont.destroy;
+            instance.hbFont.destroy = () => (calls.push(instance.variations.wght), destroy.call(instance.hbFont));
+            return calls;
+        });
+
+        FontLoader.getFontInstance(font, { wght: 300 });
+        FontLoader.getFontInstance(font, { wght: 500 });
+        assert.deepEqual(destroyed, [[], [400]]);
+        assert.equal(font.instances.size, 2);
+        assert.equal(FontLoader.getFontInstance(font, { wght: 300 }), instances[0]);
+        FontLoader.releaseFont(font);
+    });
+
+    it('shares one load between concurrent requests for a bundled face', async () => {
+        const [a, b] = await Promise.all([
+            FontLoader.loadFallbackFont('Noto+Sans+Hebrew'),
+            FontLoader.loadFallbackFont('Noto+Sans+Hebrew')
+        ]);
+        assert.ok(a);
+        assert.equal(a, b);
+    });
+});
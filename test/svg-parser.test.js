@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractAllTextContent } from '../src/utils/index.js';
+
+const parseText = (svg) => extractAllTextContent(svg)[0];
+const positions = (spans) => spans.map(({ text, x, y, dx, dy }) => ({ text, x, y, dx, dy }));
+
+describe('tspan positioning', () => {
+    it('applies x/y/dx/dy to the first character of each tspan', () => {
+        const { spans } = parseText('<svg><text x="5" y="20" font-size="20">a<tspan x="10" dy="1.2em">b</tspan><tspan dx="3">c</tspan></text></svg>');
+        assert.deepEqual(positions(spans), [
+            { text: 'a', x: null, y: null, dx: null, dy: null },
+            { text: 'b', x: 10, y: null, dx: null, dy: 24 },
+            { text: 'c', x: null, y: null, dx: 3, dy: null }
+        ]);
+    });
+
+    it('accumulates relative shifts of nested tspans that start together', () => {
+        const { spans } = parseText('<svg><text><tspan dy="5"><tspan dy="7" y="40">a</tspan></tspan></text></svg>');
+        assert.deepEqual(positions(spans), [{ text: 'a', x: null, y: 40, dx: null, dy: 12 }]);
+    });
+
+    it('resolves percentages against the viewport', () => {
+        const { spans, attributes } = parseText('<svg viewBox="0 0 400 200"><text x="50%" y="25%"><tspan dx="10%">a</tspan></text></svg>');
+        assert.equal(attributes.x, 200);
+        assert.equal(attributes.y, 50);
+        assert.equal(spans[0].dx, 40);
+    });
+
+    it('ignores percentages without a known viewport', () => {
+        const { spans } = parseText('<svg width="100%"><text><tspan x="50%" dy="1em">a</tspan></text></svg>');
+        assert.equal(spans[0].x, null);
+        assert.equal(spans[0].dy, 68);
+    });
+});
+
+describe('white space', () => {
+    it('collapses pretty-printed markup instead of breaking lines', () => {
+        const { textContent, spans } = parseText(`<svg><text y="20" font-size="20">
+            <tspan x="10" dy="1.2em">line one</tspan>
+            <tspan x="10" dy="1.2em">line two</tspan>
+        </text></svg>`);
+        assert.equal(textContent, 'line one line two');
+        assert.deepEqual(spans.map(s => s.text), ['line one', ' ', 'line two']);
+    });
+
+    it('collapses runs of spaces and tabs across span boundaries', () => {
+        const { textContent } = parseText('<svg><text>  a  &amp;\t b <tspan> c </tspan> </text></svg>');
+        assert.equal(textContent, 'a & b c');
+    });
+
+    it('keeps no-break spaces', () => {
+        const { textContent } = parseText('<svg><text>a\u00A0 b</text></svg>');
+        assert.equal(textContent, 'a\u00A0 b');
+    });
+
+    it('keeps spaces and newlines under xml:space="preserve" or white-space: pre', () => {
+        assert.equal(parseText('<svg xml:space="preserve"><text> a\n  b </text></svg>').textContent, ' a\n  b ');
+        assert.equal(parseText('<svg><text style="white-space: pre">a  b</text></svg>').textContent, 'a  b');
+    });
+
+    it('keeps newlines but collapses spaces under white-space: pre-line', () => {
+        assert.equal(parseText('<svg><text style="white-space: pre-line">a  \n  b</text></svg>').textContent, 'a\nb');
+    });
+});
+
+describe('cascade precedence', () => {
+    const fillOf = (style, attributes) => parseText(`<svg><style>${style}</style><text ${attributes}>a</text></svg>`).spans[0].fill;
+
+    it('lets style rules override presentation attributes', () => {
+        assert.equal(fillOf('.c { fill: red }', 'class="c" fill="blue"'), 'red');
+    });
+
+    it('orders rules by specificity, then source order', () => {
+        assert.equal(fillOf('#t { fill: green } .c { fill: red }', 'id="t" class="c"'), 'green');
+        assert.equal(fillOf('.c { fill: red } .d { fill: green }', 'class="c d"'), 'green');
+    });
+
+    it('lets inline style override rules', () => {
+        assert.equal(fillOf('#t { fill: green }', 'id="t" style="fill: orange"'), 'orange');
+    });
+
+    it('lets !important rules override inline style', () => {
+        assert.equal(fillOf('.c { fill: red !important }', 'class="c" style="fill: orange"'), 'red');
+    });
+
+    it('inherits from ancestors unless the element sets the property', () => {
+        const { spans } = parseText('<svg><g fill="purple"><text>a<tspan fill="teal">b</tspan><tspan>c</tspan></text></g></svg>');
+        assert.deepEqual(spans.map(s => s.fill), ['purple', 'teal', 'purple']);
+    });
+});
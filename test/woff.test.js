@@ -0,0 +1,210 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { brotliCompressSync, brotliDecompressSync, deflateSync } from 'zlib';
+import { unwrapFont, detectFontFormat } from '../src/utils/index.js';
+import { FontLoader } from '../src/renderers/index.js';
+
+const source = brotliDecompressSync(readFileSync(new URL('../fonts/noto-sans-hebrew-regular.ttf.br', import.meta.url)));
+
+function readTables(font) {
+    const bytes = Buffer.from(font.buffer, font.byteOffset, font.byteLength);
+    const tables = {};
+    for (let i = 0; i < bytes.readUInt16BE(4); i++) {
+        const entry = 12 + i * 16;
+        const offset = bytes.readUInt32BE(entry + 8);
+        tables[bytes.toString('latin1', entry, entry + 4)] = bytes.subarray(offset, offset + bytes.readUInt32BE(entry + 12));
+    }
+    return { flavor: bytes.readUInt32BE(0), tables };
+}
+
+const padded = (data) => Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+const u16 = (value) => { const b = Buffer.alloc(2); b.writeUInt16BE(value & 0xFFFF); return b; };
+const u32 = (value) => { const b = Buffer.alloc(4); b.writeUInt32BE(value >>> 0); return b; };
+
+function base128(value) {
+    const bytes = [value & 0x7F];
+    while ((value = Math.floor(value / 128))) bytes.unshift((value & 0x7F) | 0x80);
+    return Buffer.from(bytes);
+}
+
+function u255(value) {
+    if (value < 253) return Buffer.from([value]);
+    if (value < 506) return Buffer.from([255, value - 253]);
+    if (value < 762) return Buffer.from([254, value - 506]);
+    return Buffer.concat([Buffer.from([253]), u16(value)]);
+}
+
+function encodeWoff({ flavor, tables }) {
+    const tags = Object.keys(tables).sort();
+    const entries = tags.map(tag => {
+        const compressed = deflateSync(tables[tag]);
+        return { tag, data: compressed.length < tables[tag].length ? compressed : tables[tag], origLength: tables[tag].length };
+    });
+    let offset = 44 + tags.length * 20;
+    const directory = entries.map(entry => {
+        const record = Buffer.concat([Buffer.from(entry.tag, 'latin1'), u32(offset), u32(entry.data.length), u32(entry.origLength), u32(0)]);
+        offset += padded(entry.data).length;
+        return record;
+    });
+    const header = Buffer.concat([
+        Buffer.from('wOFF'), u32(flavor), u32(offset), u16(tags.length), u16(0),
+        u32(12 + tags.length * 16 + entries.reduce((sum, e) => sum + padded(tables[e.tag]).length, 0)),
+        u16(1), u16(0), u32(0), u32(0), u32(0), u32(0), u32(0)
+    ]);
+    return Buffer.concat([header, ...directory, ...entries.map(e => padded(e.data))]);
+}
+
+/**
+ * Transform glyf into the seven WOFF2 streams, every glyph with an explicit
+ * bounding box and every point as a 4-byte triplet.
+ */
+function transformGlyf(tables) {
+    const numGlyphs = tables.maxp.readUInt16BE(4);
+    const indexFormat = tables.head.readInt16BE(50);
+    const loca = i => (indexFormat ? tables.loca.readUInt32BE(i * 4) : tables.loca.readUInt16BE(i * 2) * 2);
+    const streams = { nContour: [], nPoints: [], flags: [], glyph: [], composite: [], bbox: [], instructions: [] };
+    const bboxBitmap = Buffer.alloc(((numGlyphs + 31) >> 5) * 4);
+
+    for (let i = 0; i < numGlyphs; i++) {
+        const glyph = tables.glyf.subarray(loca(i), loca(i + 1));
+        if (!glyph.length) {
+            streams.nContour.push(u16(0));
+            continue;
+        }
+        const nContours = glyph.readInt16BE(0);
+        streams.nContour.push(u16(nContours));
+        bboxBitmap[i >> 3] |= 0x80 >> (i & 7);
+        streams.bbox.push(glyph.subarray(2, 10));
+
+        if (nContours < 0) {
+            let pos = 10;
+            let flags;
+            do {
+                flags = glyph.readUInt16BE(pos);
+                pos += 4 + ((flags & 0x0001) ? 4 : 2) + ((flags & 0x0008) ? 2 : (flags & 0x0040) ? 4 : (flags & 0x0080) ? 8 : 0);
+            } while (flags & 0x0020);
+            streams.composite.push(glyph.subarray(10, pos));
+            if (flags & 0x0100) {
+                const length = glyph.readUInt16BE(pos);
+                streams.glyph.push(u255(length));
+                streams.instructions.push(glyph.subarray(pos + 2, pos + 2 + length));
+            }
+            continue;
+        }
+
+        let previousEnd = -1;
+        for (let c = 0; c < nContours; c++) {
+            const end = glyph.readUInt16BE(10 + c * 2);
+            streams.nPoints.push(u255(end - previousEnd));
+            previousEnd = end;
+        }
+        const numPoints = previousEnd + 1;
+        const instructionLength = glyph.readUInt16BE(10 + nContours * 2);
+        const instructions = glyph.subarray(12 + nContours * 2, 12 + nContours * 2 + instructionLength);
+        let pos = 12 + nContours * 2 + instructionLength;
+
+        const pointFlags = [];
+        while (pointFlags.length < numPoints) {
+            const flag = glyph[pos++];
+            pointFlags.push(flag);
+            if (flag & 0x08) for (let repeat = glyph[pos++]; repeat > 0; repeat--) pointFlags.push(flag);
+        }
+        const readDeltas = (shortBit, sameBit) => pointFlags.map(flag => {
+            if (flag & shortBit) return (flag & sameBit) ? glyph[pos++] : -glyph[pos++];
+            if (flag & sameBit) return 0;
+            pos += 2;
+            return glyph.readInt16BE(pos - 2);
+        });
+        const dxs = readDeltas(0x02, 0x10);
+        const dys = readDeltas(0x04, 0x20);
+
+        pointFlags.forEach((flag, p) => {
+            const [dx, dy] = [dxs[p], dys[p]];
+            streams.flags.push(Buffer.from([((flag & 0x01) ? 0 : 0x80) | (124 + (dx >= 0 ? 1 : 0) + (dy >= 0 ? 2 : 0))]));
+            streams.glyph.push(u16(Math.abs(dx)), u16(Math.abs(dy)));
+        });
+        streams.glyph.push(u255(instructionLength));
+        streams.instructions.push(instructions);
+    }
+
+    const data = [
+        streams.nContour, streams.nPoints, streams.flags, streams.glyph, streams.composite,
+        [bboxBitmap, ...streams.bbox], streams.instructions
+    ].map(parts => Buffer.concat(parts));
+    return Buffer.concat([u16(0), u16(0), u16(numGlyphs), u16(indexFormat), ...data.map(stream => u32(stream.length)), ...data]);
+}
+
+function encodeWoff2({ flavor, tables }, { transform = false } = {}) {
+    // glyf and loca go first so loca follows glyf, as WOFF2 requires
+    const tags = ['glyf', 'loca', ...Object.keys(tables).filter(tag => tag !== 'glyf' && tag !== 'loca').sort()];
+    const glyf = transform ? transformGlyf(tables) : tables.glyf;
+    const directory = tags.map(tag => {
+        if (tag === 'glyf' || tag === 'loca') {
+            // Transform version 0 is the glyf transform, 3 the null transform
+            const length = tag === 'glyf' ? glyf.length : 0;
+            return transform
+                ? Buffer.concat([Buffer.from([0x3F]), Buffer.from(tag), base128(tables[tag].length), base128(length)])
+                : Buffer.concat([Buffer.from([0xFF]), Buffer.from(tag), base128(tables[tag].length)]);
+        }
+        return Buffer.concat([Buffer.from([0x3F]), Buffer.from(tag, 'latin1'), base128(tables[tag].length)]);
+    });
+    const stream = brotliCompressSync(Buffer.concat(tags.map(tag => (tag === 'glyf' ? glyf : tag === 'loca' && transform ? Buffer.alloc(0) : tables[tag]))));
+    const body = Buffer.concat(directory);
+    const header = Buffer.concat([
+        Buffer.from('wOF2'), u32(flavor), u32(48 + body.length + stream.length), u16(tags.length), u16(0),
+        u32(0), u32(stream.length), u16(1), u16(0), u32(0), u32(0), u32(0), u32(0), u32(0)
+    ]);
+    return Buffer.concat([header, body, stream]);
+}
+
+const original = readTables(source);
+
+async function outlines(data) {
+    const font = await FontLoader.loadPrimaryFont(data);
+    try {
+        const numGlyphs = original.tables.maxp.readUInt16BE(4);
+        return Array.from({ length: numGlyphs }, (_, glyphId) => FontLoader.getGlyphOutline(font, glyphId));
+    } finally {
+        FontLoader.releaseFont(font);
+    }
+}
+
+function assertSameTables(unwrapped, except = []) {
+    const { flavor, tables } = readTables(unwrapped);
+    assert.equal(flavor, original.flavor);
+    assert.deepEqual(Object.keys(tables).sort(), Object.keys(original.tables).sort());
+    for (const [tag, data] of Object.entries(original.tables)) {
+        if (except.includes(tag)) continue;
+        // head.checkSumAdjustment depends on the layout of the whole file
+        const compare = tag === 'head' ? [data.subarray(0, 8), data.subarray(12)] : [data];
+        const actual = tag === 'head' ? [tables.head.subarray(0, 8), tables.head.subarray(12)] : [tables[tag]];
+        assert.deepEqual(actual.map(Buffer.from), compare.map(Buffer.from), `table ${tag}`);
+    }
+}
+
+describe('WOFF and WOFF2 unwrapping', () => {
+    it('detects the container format', () => {
+        assert.equal(detectFontFormat(source), 'sfnt');
+        assert.equal(detectFontFormat(encodeWoff(original)), 'woff');
+        assert.equal(detectFontFormat(encodeWoff2(original)), 'woff2');
+    });
+
+    it('returns sfnt data unchanged', async () => {
+        assert.equal(Buffer.compare(Buffer.from(await unwrapFont(source)), source), 0);
+    });
+
+    it('round-trips every table through WOFF', async () => {
+        assertSameTables(await unwrapFont(encodeWoff(original)));
+    });
+
+    it('round-trips every table through WOFF2 without transforms', async () => {
+        assertSameTables(await unwrapFont(encodeWoff2(original)));
+    });
+
+    it('rebuilds the same glyph outlines from a transformed WOFF2 glyf table', async () => {
+        const unwrapped = await unwrapFont(encodeWoff2(original, { transform: true }));
+        assertSameTables(unwrapped, ['glyf', 'loca', 'head']);
+        assert.deepEqual(await outlines(unwrapped), await outlines(source));
+    });
+});